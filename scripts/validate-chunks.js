@@ -0,0 +1,165 @@
+/**
+ * MYOB Dash - Chunk Stress Test
+ * Plays out thousands of seeded chunk placements with the game's difficulty ramp and reports
+ * every chunk sequence the jump physics can't clear as authored. Each placement is planned a slice
+ * per frame while the previous chunk scrolls in, like GameScene does, and every frame's share of
+ * the jump search is checked against a time budget. A frame's time is worked out from the search
+ * states it tried and the test's average time per state, so a stray GC pause or a busy machine
+ * doesn't fail the test, but a slower search or bigger slices do.
+ *
+ * Usage: npm run validate:chunks -- [--runs 100] [--chunks 60] [--seed 1] [--budget 8]
+ * Exits with code 1 if any chunk had to be dropped, i.e. couldn't be fixed by spacing it out,
+ * or if planning took longer than the budget (in ms) in any one frame.
+ */
+import { readFileSync } from 'node:fs';
+import Constants from '../src/config/constants.js';
+import ChunkSpawner from '../src/systems/ChunkSpawner.js';
+import { FIXED_STEP_MS } from '../src/systems/FixedTimestep.js';
+import JumpValidator from '../src/systems/JumpValidator.js';
+import SeededRandom from '../src/utils/SeededRandom.js';
+
+const CHUNK_LIBRARY_PATH = new URL('../assets/data/chunks.json', import.meta.url);
+const MAX_REPORTED = 20; // Impossible sequences listed in full; the rest are only counted
+const FRAME_BUDGET_MS = 8; // Planning time allowed in one frame, half of a 60fps frame
+
+/**
+ * Reads `--name value` from the command line.
+ * @param {string} name - Option name without the dashes
+ * @param {number} fallback - Value when the option isn't given
+ * @returns {number}
+ */
+function getOption(name, fallback) {
+    const index = process.argv.indexOf(`--${name}`);
+    const value = index >= 0 ? Number(process.argv[index + 1]) : NaN;
+    return Number.isFinite(value) ? value : fallback;
+}
+
+/**
+ * Validator that also notes every layout it had to fix.
+ */
+class RecordingValidator extends JumpValidator {
+    constructor() {
+        super();
+        this.failures = [];
+        this.context = null; // Seed and speed of the placement being checked
+        this.searched = 0;   // Search states tried so far
+    }
+
+    *canClearSteps(entries, scrollSpeed) {
+        const steps = super.canClearSteps(entries, scrollSpeed);
+        for (let step = steps.next(); ; step = steps.next()) {
+            if (step.done) return step.value;
+            this.searched += step.value;
+            yield step.value;
+        }
+    }
+
+    *fitSteps(previous, chunk, gap, scrollSpeed) {
+        if (!(yield* this.canClearSteps(JumpValidator.joinChunks(previous, chunk, gap), scrollSpeed))) {
+            const placement = yield* super.fitSteps(previous, chunk, gap, scrollSpeed);
+            this.failures.push({ ...this.context, previous: previous ? previous.id : null, chunk: chunk.id, fixed: Boolean(placement) });
+            return placement;
+        }
+        return { chunk, gap };
+    }
+}
+
+const runs = getOption('runs', 100);
+const chunksPerRun = getOption('chunks', 60);
+const firstSeed = getOption('seed', 1);
+const budget = getOption('budget', FRAME_BUDGET_MS);
+
+/**
+ * Plays out one run's chunk placements, with the same progression as GameScene.spawnChunksAsNeeded()
+ * and increaseDifficulty(). Each placement is planned a slice per frame while the previous chunk scrolls in.
+ * @param {number} seed - Seed of the run
+ * @param {RecordingValidator} validator - Checks the placements
+ * @param {Function} runFrame - Runs one frame's worth of planning, passed as a function, and returns its result
+ * @returns {{placements: object[], late: number}} - The placements, and how many weren't planned by the time their chunk was due
+ */
+function playRun(seed, validator, runFrame) {
+    const rng = new SeededRandom(seed);
+    const spawner = new ChunkSpawner(library, validator);
+    let scrollSpeed = Constants.BASE_SCROLL_SPEED;
+    let spawnDelay = Constants.BASE_SPAWN_DELAY;
+    const placements = [];
+    let late = 0;
+
+    const planNextChunk = () => {
+        const progress = (scrollSpeed - Constants.BASE_SCROLL_SPEED) / (Constants.MAX_SCROLL_SPEED - Constants.BASE_SCROLL_SPEED);
+        validator.context = { seed, speed: Math.round(scrollSpeed) };
+        spawner.startPlanning(spawner.getTierForProgress(progress), rng, scrollSpeed, scrollSpeed * spawnDelay / 1000);
+    };
+
+    planNextChunk();
+    for (let i = 0; i < chunksPerRun; i++) {
+        // The chunk is due, so whatever planning is left happens in this frame
+        if (spawner.plan.placement === null && i > 0) late++;
+        const placement = runFrame(() => spawner.takePlannedPlacement());
+        placements.push(placement);
+
+        const seconds = (placement.gap + placement.chunk.length) / scrollSpeed;
+        planNextChunk();
+        const frames = Math.floor(seconds * 1000 / FIXED_STEP_MS);
+        for (let frame = 0; frame < frames; frame++) {
+            if (runFrame(() => spawner.keepPlanning(Constants.CHUNK_PLANNING_STATES))) break;
+        }
+
+        scrollSpeed = Math.min(scrollSpeed + Constants.SPEED_INCREASE_FACTOR * seconds, Constants.MAX_SCROLL_SPEED);
+        spawnDelay = Math.max(spawnDelay - Constants.SPAWN_DECREASE_FACTOR * seconds, Constants.MIN_SPAWN_DELAY);
+    }
+    return { placements, late };
+}
+
+/**
+ * Runs one frame's worth of planning, noting how long it took and how many states it searched.
+ * @param {Function} plan - The planning to do
+ * @returns {*} - What plan returns
+ */
+function timeFrame(plan) {
+    const searchedBefore = validator.searched;
+    const start = performance.now();
+    const result = plan();
+    planningMs += performance.now() - start;
+    plannedFrames.push({ ...validator.context, states: validator.searched - searchedBefore });
+    return result;
+}
+
+const library = JSON.parse(readFileSync(CHUNK_LIBRARY_PATH, 'utf8'));
+const validator = new RecordingValidator();
+const startTime = Date.now();
+let placements = 0;
+let openGround = 0;
+let late = 0;
+let planningMs = 0;
+const plannedFrames = []; // Seed, speed and states searched of every frame that did some planning
+
+// One untimed run first, so the search is already compiled when it's timed, as it is a few chunks into a game
+playRun(firstSeed, new RecordingValidator(), plan => plan());
+
+for (let seed = firstSeed; seed < firstSeed + runs; seed++) {
+    const run = playRun(seed, validator, timeFrame);
+    placements += run.placements.length;
+    openGround += run.placements.filter(placement => placement.chunk.id === 'open-ground').length;
+    late += run.late;
+}
+
+const failures = validator.failures;
+const unfixed = failures.filter(failure => !failure.fixed);
+console.log(`Checked ${placements} chunk placements over ${runs} seeds in ${((Date.now() - startTime) / 1000).toFixed(1)}s`);
+console.log(`Impossible as authored: ${failures.length} (spaced out: ${failures.length - unfixed.length}, dropped: ${unfixed.length}, open ground: ${openGround})`);
+failures.slice(0, MAX_REPORTED).forEach(failure => {
+    const sequence = failure.previous ? `${failure.previous} -> ${failure.chunk}` : failure.chunk;
+    console.log(`  seed ${failure.seed} at ${failure.speed} px/s: ${sequence}${failure.fixed ? ' (spaced out)' : ' (dropped)'}`);
+});
+if (failures.length > MAX_REPORTED) {
+    console.log(`  ...and ${failures.length - MAX_REPORTED} more`);
+}
+
+const msPerState = planningMs / validator.searched;
+const slowestFrame = plannedFrames.reduce((slowest, frame) => frame.states > slowest.states ? frame : slowest);
+const overBudget = plannedFrames.filter(frame => frame.states * msPerState > budget);
+console.log(`Slowest frame of planning: ${slowestFrame.states} states, about ${(slowestFrame.states * msPerState).toFixed(1)}ms, at seed ${slowestFrame.seed}, ${slowestFrame.speed} px/s`);
+console.log(`Frames over the ${budget}ms budget: ${overBudget.length} (placements planned late: ${late})`);
+
+process.exitCode = unfixed.length > 0 || overBudget.length > 0 ? 1 : 0;
@@ -0,0 +1,106 @@
+/**
+ * MYOB Dash - Game Constants
+ * Single source for game dimensions and gameplay tuning values
+ */
+const Constants = {
+    // --- Game Dimensions ---
+    GAME_WIDTH: 800,
+    GAME_HEIGHT: 450,
+
+    // --- Physics ---
+    GRAVITY: 0,             // World gravity; the player applies its own below
+    DEBUG_PHYSICS: false,   // Show hitboxes
+    PLAYER_GRAVITY_Y: 1000,
+
+    // --- Jumping ---
+    JUMP_VELOCITY: -575,
+    DOUBLE_JUMP_VELOCITY: -500,
+    FAST_FALL_VELOCITY: 500,
+    COYOTE_TIME_DURATION: 100,  // ms after leaving the ground that a jump still counts
+    JUMP_BUFFER_DURATION: 100,  // ms before landing that a jump press is remembered
+    JUMP_RELEASE_MULTIPLIER: 0.45, // Upward speed kept when jump is let go early; 1 makes every jump full height
+
+    // --- Sliding ---
+    SLIDE_HEIGHT_RATIO: 0.4,    // Share of the player's height its hitbox keeps while sliding
+
+    // --- Lives ---
+    LIVES: 3,                       // Hearts per run; 1 ends the run on the first hit
+    INVULNERABILITY_DURATION: 1500, // ms the player blinks and can't be hurt after losing a heart
+    KNOCKBACK_VELOCITY: -400,       // Upward speed the player is knocked into the air with
+    KNOCKBACK_DISTANCE: 40,         // Pixels the player is knocked back, recovered over the blink
+    PIT_RESCUE_VELOCITY: -850,      // Upward speed that springs the player back out of a pit
+    EXTRA_LIFE_SPAWN_INTERVAL: 5000, // ms between rolls for an extra-life pickup
+    EXTRA_LIFE_SPAWN_CHANCE: 0.05,   // Pickup chance per roll while a heart is missing
+
+    // --- Difficulty & Progression ---
+    BASE_SCROLL_SPEED: 250,
+    MAX_SCROLL_SPEED: 750,
+    SPEED_INCREASE_FACTOR: 6,   // Scroll speed gained per second
+    BASE_SPAWN_DELAY: 1700,     // ms of open ground between obstacle chunks
+    MIN_SPAWN_DELAY: 400,
+    SPAWN_DECREASE_FACTOR: 18,  // Spawn delay lost per second
+
+    // --- Obstacle Chunks ---
+    CHUNK_SPAWN_MARGIN: 50,     // Chunks start this many pixels past the right edge of the screen
+    CHUNK_PLANNING_STATES: 8000,  // Jump search states tried per frame while planning the next chunk
+
+    // --- Platforms ---
+    PLATFORM_THICKNESS: 16,     // Height in pixels of a floating platform
+    PATROL_SPEED: 60,           // Pixels per second an enemy walks along its patrol
+
+    // --- Stomping ---
+    STOMP_SCORE: 50,                // Points for landing on a tax collector, before multipliers
+    STOMP_FAST_FALL_MULTIPLIER: 2,  // Extra score multiplier for a stomp made while fast falling
+    STOMP_BOUNCE_VELOCITY: -450,    // Upward speed the player bounces off a stomped enemy with
+
+    // --- Red Tape ---
+    RED_TAPE_WIDTH: 36,
+    RED_TAPE_CLEARANCE: 28,     // Gap in pixels between the ground and the tape, only low enough to slide under
+
+    // --- Audit Bots ---
+    AUDIT_BOT_SPAWN_INTERVAL: 3000,     // ms between rolls for an audit bot
+    AUDIT_BOT_SPAWN_CHANCE_MIN: 0,      // Chance per roll at the starting speed
+    AUDIT_BOT_SPAWN_CHANCE_MAX: 0.35,   // Chance per roll at top speed
+    AUDIT_BOT_WARNING_DURATION: 1000,   // ms the warning marker flashes before the bot enters
+    AUDIT_BOT_SPEED: 120,               // Pixels per second the bot flies on top of the scroll speed
+    AUDIT_BOT_HOMING_SPEED: 90,         // Pixels per second the bot drifts toward the player's height
+    AUDIT_BOT_MIN_HEIGHT: 45,           // Lowest the bot flies, from the ground to its centre; a slide ducks under
+
+    // --- Boss Fight ---
+    BOSS_SCORE_INTERVAL: 3000,          // A boss fight starts at every multiple of this score
+    BOSS_HEALTH: 10,
+    BOSS_STOMP_DAMAGE: 2,               // Damage from stomping a tax collector during the fight
+    BOSS_RECEIPT_DAMAGE: 1,             // Damage from collecting a receipt
+    BOSS_RECEIPT_INTERVAL: 2500,        // ms between receipts dropped by the tax office
+    BOSS_REWARD_COINS: 12,              // Coins laid out after a win, along with a power-up
+    BOSS_VICTORY_SPEED_BOOST: 60,       // Scroll speed added when spawning resumes after a win
+    BOSS_VICTORY_SPAWN_DELAY_CUT: 150,  // ms taken off the spawn delay after a win
+
+    // --- Power-Ups ---
+    POWER_UP_DURATION: 10000,
+    POWER_UP_SPEED_BOOST: 1.6,
+    COINS_FOR_POWER_UP: 20,         // Coins that fill the power-up meter
+    POWER_UP_SPAWN_INTERVAL: 2000,  // ms between rolls for a power-up pickup
+    POWER_UP_SPAWN_CHANCE_MIN: 0.05, // Pickup chance per roll with an empty meter
+    POWER_UP_SPAWN_CHANCE_MAX: 0.6,  // Pickup chance per roll with a full meter
+    POWER_UP_SCORE_MULTIPLIER: 2,   // Multiplier power-up, applied on top of the combo multiplier
+    MAGNET_RADIUS: 200,             // Coins within this many pixels of the player are pulled in
+    MAGNET_PULL_SPEED: 550,         // Pixels per second a pulled coin moves toward the player
+
+    // --- Scoring ---
+    COIN_BASE_SCORE: 10,
+    COMBO_TIME_WINDOW: 1500,    // ms between coins to keep a combo going
+    PIXELS_PER_METER: 32,       // Scroll distance counted as one metre on the HUD and results screen
+    DISTANCE_SCORE_PER_METER: 1, // Points for every metre run, on top of coin points
+    CURRENCY_CHANCE_MIN: 0.03,  // Chance a chunk coin turns up as a rarer currency at the starting speed
+    CURRENCY_CHANCE_MAX: 0.12,  // Chance at top speed
+
+    // --- Leaderboard ---
+    LEADERBOARD_MAX_ENTRIES: 10,
+    INITIALS_LENGTH: 3,
+
+    // --- Scene Transitions ---
+    FADE_DURATION: 400
+};
+
+export default Constants;
@@ -0,0 +1,32 @@
+/**
+ * MYOB Dash - Currencies
+ * Rarer collectibles that sometimes turn up in place of a chunk's coins, keyed by the name
+ * GameScene stores on them. They score through the coin combo like any coin, and some have
+ * an effect on top.
+ */
+import { TEXTURE_KEYS } from './sprites.js';
+
+const Currencies = {
+    goldBar: {
+        key: 'goldBar',
+        texture: TEXTURE_KEYS.goldBar,
+        score: 50,
+        weights: [1, 3] // Relative odds of this currency at the starting speed and at top speed
+    },
+    refund: {
+        key: 'refund',
+        texture: TEXTURE_KEYS.refund,
+        score: 10,
+        comboWindowBonus: 1500, // ms added to the combo window before the next coin
+        weights: [3, 2]
+    },
+    receipt: {
+        key: 'receipt',
+        texture: TEXTURE_KEYS.receipt, // Same receipt the tax office drops in a boss fight
+        score: 10,
+        meterCharge: 5, // Coins' worth of charge added to the power-up meter
+        weights: [3, 1]
+    }
+};
+
+export default Currencies;
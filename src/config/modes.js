@@ -0,0 +1,73 @@
+/**
+ * MYOB Dash - Game Modes
+ * Modes offered on the title screen, keyed by the name passed to GameScene
+ */
+import SeededRandom from '../utils/SeededRandom.js';
+import { getUrlParam } from '../utils/urlParams.js';
+
+const GameModes = {
+    classic: {
+        key: 'classic',
+        name: 'Classic',
+        description: 'Endless run, new layout every time'
+    },
+    daily: {
+        key: 'daily',
+        name: 'Daily Challenge',
+        description: 'One course per day, same for everyone',
+        daily: true // Seed and leaderboard come from today's date
+    },
+    ghost: {
+        key: 'ghost',
+        name: 'Ghost Race',
+        description: 'Race the ghost of your furthest run',
+        seed: 20240701, // Fixed course, so the ghost and the player face the same obstacles
+        ghost: true
+    }
+};
+
+export const DEFAULT_MODE = 'classic';
+
+/**
+ * Formats a date as YYYY-MM-DD in local time, so the daily course changes at the player's midnight.
+ * @param {Date} date - Date to format
+ * @returns {string} - The formatted date
+ */
+export function formatDateKey(date = new Date()) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Picks the seed for a new run: daily modes use the date, fixed-course modes their own seed,
+ * and the rest `?seed=` or a random seed.
+ * @param {string} modeKey - Key into GameModes
+ * @param {Date} date - Day of the run, for daily modes
+ * @returns {number} - Unsigned 32-bit seed
+ */
+export function getRunSeed(modeKey, date = new Date()) {
+    const mode = GameModes[modeKey] || GameModes[DEFAULT_MODE];
+    if (mode.daily) {
+        return SeededRandom.normalizeSeed(`daily:${formatDateKey(date)}`);
+    }
+    if (mode.seed !== undefined) {
+        return mode.seed;
+    }
+
+    const urlSeed = getUrlParam('seed');
+    return urlSeed ? SeededRandom.normalizeSeed(urlSeed) : SeededRandom.randomSeed();
+}
+
+/**
+ * Names the leaderboard a mode's runs are saved to. Each day's challenge gets its own board.
+ * @param {string} modeKey - Key into GameModes
+ * @param {Date} date - Day of the run, for daily modes
+ * @returns {string} - Leaderboard board key
+ */
+export function getLeaderboardKey(modeKey, date = new Date()) {
+    const mode = GameModes[modeKey] || GameModes[DEFAULT_MODE];
+    return mode.daily ? `${mode.key}:${formatDateKey(date)}` : mode.key;
+}
+
+export default GameModes;
@@ -0,0 +1,33 @@
+/**
+ * MYOB Dash - Sprites
+ * Texture keys and on-screen sizes shared by the scenes that draw game objects,
+ * so the editor shows obstacles exactly as a run spawns them
+ */
+
+export const TEXTURE_KEYS = {
+    particle: 'particle',
+    flyingEnemy: 'enemy_flying',
+    shield: 'shield_visual',
+    pit: 'pit_lava',
+    platform: 'platform',
+    redTape: 'red_tape',
+    auditBot: 'audit_bot',
+    taxOffice: 'tax_office',
+    paperwork: 'paperwork',
+    receipt: 'receipt',
+    goldBar: 'gold_bar',
+    refund: 'refund_token'
+};
+
+// Display size of each game object, in pixels
+export const TARGET_SIZES = {
+    player: { width: 24, height: 48 },
+    coin: { width: 24, height: 24 },
+    enemy: { width: 30, height: 40 },
+    flyingEnemy: { width: 35, height: 35 },
+    auditBot: { width: 34, height: 30 },
+    goldBar: { width: 32, height: 18 },
+    refund: { width: 24, height: 24 },
+    receipt: { width: 18, height: 24 },
+    particle: { width: 10, height: 10 }
+};
@@ -3,7 +3,14 @@
  * Initializes the Phaser game and sets up styling
  */
 import Constants from './config/constants.js';
+import { installFixedTimestep } from './systems/FixedTimestep.js';
+import PreloadScene from './scenes/PreloadScene.js';
+import MenuScene from './scenes/MenuScene.js';
 import GameScene from './scenes/GameScene.js';
+import GameOverScene from './scenes/GameOverScene.js';
+import PauseScene from './scenes/PauseScene.js';
+import SettingsScene from './scenes/SettingsScene.js';
+import EditorScene from './scenes/EditorScene.js';
 
 // --- Phaser Game Configuration ---
 const config = {
@@ -27,14 +34,17 @@ const config = {
             fps: 60
         }
     },
-    scene: [GameScene]
+    callbacks: {
+        postBoot: installFixedTimestep // Deterministic steps, so replays play back exactly
+    },
+    scene: [PreloadScene, MenuScene, GameScene, GameOverScene, PauseScene, SettingsScene, EditorScene] // The first scene starts automatically
 };
 
 // --- Initialize Phaser Game ---
 window.onload = () => {
     const game = new Phaser.Game(config);
 
-    // Apply custom CSS for styling
+    // Apply custom CSS for minimalistic and aesthetically pleasing styling
     applyCustomStyles();
 };
 
@@ -45,12 +55,23 @@ function applyCustomStyles() {
     // Create a style element
     const style = document.createElement('style');
     style.textContent = `
+        @keyframes gradientMove {
+            0% { background-position: 0% 50%; }
+            50% { background-position: 100% 50%; }
+            100% { background-position: 0% 50%; }
+        }
+
         body {
             margin: 0;
             padding: 0;
-            background-color: #f5f5f5;
+            /* Animated purple gradient background */
+            background: linear-gradient(-45deg, #ee7752, #e73c7e, #673ab7, #23a6d5, #23d5ab);
+            background-size: 400% 400%;
+            animation: gradientMove 15s ease infinite;
+
             font-family: 'Helvetica Neue', Arial, sans-serif;
             display: flex;
+            flex-direction: column; /* Stack title and game */
             justify-content: center;
             align-items: center;
             min-height: 100vh;
@@ -58,22 +79,23 @@ function applyCustomStyles() {
         }
 
         #game-container {
-            box-shadow: 0 10px 30px rgba(0, 0, 0, 0.1);
+            margin-top: 10px; /* Add some space below title */
+            margin-bottom: 10px; /* Add some space above controls */
+            box-shadow: 0 8px 25px rgba(0, 0, 0, 0.2);
             border-radius: 8px;
-            overflow: hidden;
-            transform: scale(0.95);
-            transition: transform 0.3s ease;
+            overflow: hidden; /* Keep canvas contained */
         }
 
-        #game-container:hover {
-            transform: scale(0.98);
-        }
+        /* Remove hover effect for consistency */
+        /* #game-container:hover {
+        } */
 
         canvas {
             display: block;
             image-rendering: pixelated;
         }
 
+        /* Game UI elements styling handled by Phaser, but we can add additional styling here */
         .game-title {
             position: absolute;
             top: 20px;
@@ -92,7 +114,7 @@ function applyCustomStyles() {
             left: 50%;
             transform: translateX(-50%);
             font-size: 14px;
-            color: #666;
+            color: black;
             text-align: center;
             z-index: 100;
         }
@@ -101,7 +123,7 @@ function applyCustomStyles() {
             max-width: 200px;
             height: auto;
             display: block;
-            margin: 0 auto;
+            margin: 0;
         }
     `;
 
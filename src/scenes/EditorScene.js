@@ -0,0 +1,463 @@
+/**
+ * MYOB Dash - Editor Scene
+ * Segment editor opened with `?editor=1`: place coins, enemies, pits and platforms on a scrolling grid,
+ * check the layout against the jump physics, playtest it and save it as a segment file
+ */
+import Constants from '../config/constants.js';
+import { TEXTURE_KEYS, TARGET_SIZES } from '../config/sprites.js';
+import { DEFAULT_MODE } from '../config/modes.js';
+import JumpValidator from '../systems/JumpValidator.js';
+import { toSegmentFile, parseSegmentFile, getSegmentFileName } from '../systems/Segment.js';
+import { createTextButton } from '../ui/buttons.js';
+import { fadeToScene } from '../ui/transitions.js';
+import { downloadJson, pickJsonFile } from '../utils/jsonFiles.js';
+
+const EDITOR_BACKGROUND_COLOR = '#22313f';
+const GRID_SIZE = 20;            // Entries snap to this many pixels
+const SEGMENT_START_X = 120;     // World x of the segment's start, where the player stands in a run
+const TOOLBAR_HEIGHT = 92;       // Clicks above this are left to the buttons
+const SCROLL_SPEED = 600;        // Pixels per second the arrow keys scroll the grid
+const MIN_LENGTH = 100;
+const MAX_LENGTH = 2000;
+const MAX_HEIGHT = 260;          // Highest a coin or drone can be placed above the ground
+const MIN_DRAG_WIDTH = 60;       // Narrowest pit or platform
+const MAX_TIER = 4;
+
+// Placeable entry types, in toolbar order. Number keys 1-7 pick them too.
+const TOOLS = [
+    { key: 'coin', label: 'Coin' },
+    { key: 'enemy', label: 'Collector' },
+    { key: 'enemy_flying', label: 'Drone' },
+    { key: 'platform', label: 'Platform' },
+    { key: 'pit_lava', label: 'Pit' },
+    { key: 'red_tape', label: 'Tape' },
+    { key: 'erase', label: 'Erase' }
+];
+
+const TOOL_STYLE = { fontSize: '16px', padding: { x: 10, y: 6 } };
+const SELECTED_TOOL_COLOR = '#f8b200';
+
+// Speeds the layout is checked at: start of a run, halfway and top speed
+const CHECK_SPEEDS = [
+    Constants.BASE_SCROLL_SPEED,
+    (Constants.BASE_SCROLL_SPEED + Constants.MAX_SCROLL_SPEED) / 2,
+    Constants.MAX_SCROLL_SPEED
+];
+
+export default class EditorScene extends Phaser.Scene {
+    constructor() {
+        super('EditorScene');
+
+        this.segment = null;        // Chunk being edited: { id, tier, length, entries }
+        this.tool = 'coin';
+        this.toolButtons = {};      // Toolbar buttons, keyed by tool
+        this.entrySprites = [];     // Game objects showing the entries, rebuilt on every change
+        this.gridGraphics = null;
+        this.infoText = null;
+        this.statusText = null;
+        this.cursorText = null;
+        this.dragStart = null;      // Segment position where a pit or platform drag started
+        this.validator = new JumpValidator();
+        this.groundY = 0;
+        this.cursors = null;
+    }
+
+    create() {
+        const { width, height } = this.scale;
+        this.groundY = height * 0.9; // Same ground line as GameScene
+
+        this.cameras.main.setBackgroundColor(EDITOR_BACKGROUND_COLOR);
+        this.input.mouse.disableContextMenu(); // Right click erases
+
+        // Picks up where the last playtest left off
+        this.segment = this.registry.get('editorSegment')
+            ? parseSegmentFile(this.registry.get('editorSegment'))
+            : { id: 'new-segment', tier: 1, length: 600, entries: [] };
+
+        this.gridGraphics = this.add.graphics();
+        this.createToolbar();
+        this.infoText = this.add.text(16, 106, '', { fontSize: '14px', fill: '#ffffff' })
+            .setOrigin(0, 0.5).setScrollFactor(0).setDepth(10);
+        this.cursorText = this.add.text(width - 16, 106, '', { fontSize: '14px', fill: '#dddddd' })
+            .setOrigin(1, 0.5).setScrollFactor(0).setDepth(10);
+        this.statusText = this.add.text(16, height - 22, '', { fontSize: '14px', fill: '#ffffff', fontStyle: 'bold' })
+            .setOrigin(0, 0.5).setScrollFactor(0).setDepth(10);
+
+        this.input.on('pointerdown', this.onPointerDown, this);
+        this.input.on('pointerup', this.onPointerUp, this);
+        this.input.on('pointermove', this.onPointerMove, this);
+        this.input.on('wheel', this.onWheel, this);
+
+        this.cursors = this.input.keyboard.createCursorKeys();
+        this.input.keyboard.on('keydown', this.onKey, this);
+
+        // Phaser doesn't call shutdown() by itself, so hook it to the scene event
+        this.events.once('shutdown', this.shutdown, this);
+
+        this.refresh();
+        this.cameras.main.fadeIn(Constants.FADE_DURATION, 0, 0, 0);
+    }
+
+    /**
+     * Builds the tool buttons and the segment controls.
+     */
+    createToolbar() {
+        const { width } = this.scale;
+
+        // Tool buttons are packed left to right by their width
+        let toolX = 20;
+        TOOLS.forEach(tool => {
+            const button = createTextButton(this, 0, 24, tool.label, () => this.selectTool(tool.key), TOOL_STYLE);
+            button.setX(toolX + button.width / 2);
+            toolX += button.width + 6;
+            this.toolButtons[tool.key] = button;
+        });
+
+        createTextButton(this, 50, 62, 'Play', () => this.playtest(), TOOL_STYLE);
+        createTextButton(this, 125, 62, 'Export', () => this.exportSegment(), TOOL_STYLE);
+        createTextButton(this, 210, 62, 'Import', () => this.importSegment(), TOOL_STYLE);
+        createTextButton(this, 295, 62, 'Rename', () => this.renameSegment(), TOOL_STYLE);
+        createTextButton(this, 375, 62, 'Clear', () => this.clearSegment(), TOOL_STYLE);
+        createTextButton(this, 445, 62, 'Menu', () => fadeToScene(this, 'MenuScene'), TOOL_STYLE);
+
+        createTextButton(this, width - 250, 62, 'Tier -', () => this.changeTier(-1), TOOL_STYLE);
+        createTextButton(this, width - 160, 62, 'Tier +', () => this.changeTier(1), TOOL_STYLE);
+        createTextButton(this, width - 85, 62, 'Len -', () => this.changeLength(-GRID_SIZE * 5), TOOL_STYLE);
+        createTextButton(this, width - 30, 62, '+', () => this.changeLength(GRID_SIZE * 5), TOOL_STYLE);
+
+        this.selectTool(this.tool);
+    }
+
+    update(time, delta) {
+        const direction = (this.cursors.right.isDown ? 1 : 0) - (this.cursors.left.isDown ? 1 : 0);
+        if (direction !== 0) {
+            this.scrollBy(direction * SCROLL_SPEED * delta / 1000);
+        }
+    }
+
+    /**
+     * Picks the entry type that clicks place.
+     * @param {string} toolKey - One of TOOLS
+     */
+    selectTool(toolKey) {
+        this.tool = toolKey;
+        Object.entries(this.toolButtons).forEach(([key, button]) => {
+            button.setColor(key === toolKey ? SELECTED_TOOL_COLOR : '#ffffff');
+        });
+    }
+
+    /**
+     * Converts a pointer position to segment coordinates: x from the segment's start,
+     * y above the ground, both snapped to the grid.
+     * @param {Phaser.Input.Pointer} pointer - The pointer
+     * @returns {{x: number, y: number}}
+     */
+    toSegmentPosition(pointer) {
+        const x = Phaser.Math.Snap.To(pointer.worldX - SEGMENT_START_X, GRID_SIZE);
+        const y = Phaser.Math.Snap.To(this.groundY - pointer.worldY, GRID_SIZE);
+        return {
+            x: Phaser.Math.Clamp(x, 0, this.segment.length),
+            y: Phaser.Math.Clamp(y, GRID_SIZE, MAX_HEIGHT)
+        };
+    }
+
+    /**
+     * Places an entry with the selected tool, or erases on right click.
+     * Pits and platforms are dragged out, so they're placed when the button is released.
+     */
+    onPointerDown(pointer) {
+        if (pointer.y < TOOLBAR_HEIGHT) return;
+
+        const position = this.toSegmentPosition(pointer);
+        if (pointer.rightButtonDown() || this.tool === 'erase') {
+            this.eraseAt(pointer);
+            return;
+        }
+
+        switch (this.tool) {
+            case 'coin':
+            case 'enemy_flying':
+                this.addEntry({ type: this.tool, x: position.x, y: position.y });
+                break;
+            case 'enemy':
+                this.addEnemy(position);
+                break;
+            case 'red_tape':
+                this.addEntry({ type: this.tool, x: position.x, y: 0 });
+                break;
+            case 'pit_lava':
+            case 'platform':
+                this.dragStart = position;
+                break;
+        }
+    }
+
+    /**
+     * Finishes dragging out a pit or platform. Platforms stay at the height the drag started.
+     */
+    onPointerUp(pointer) {
+        if (this.dragStart === null) return;
+
+        const endX = this.toSegmentPosition(pointer).x;
+        const left = Math.min(this.dragStart.x, endX);
+        const dragWidth = Math.max(Math.abs(endX - this.dragStart.x), MIN_DRAG_WIDTH);
+        const y = this.tool === 'platform' ? this.dragStart.y : 0;
+        this.dragStart = null;
+        this.addEntry({ type: this.tool, x: Math.min(left, this.segment.length - dragWidth), y, width: dragWidth });
+    }
+
+    /**
+     * Places a tax collector. Clicked above a platform, it stands on the platform and patrols
+     * from there to the platform's right end; otherwise it stands on the ground.
+     * @param {{x: number, y: number}} position - Clicked segment position
+     */
+    addEnemy(position) {
+        const halfWidth = TARGET_SIZES.enemy.width / 2;
+        const platform = this.segment.entries
+            .filter(entry => entry.type === 'platform' && entry.y <= position.y
+                && position.x >= entry.x && position.x <= entry.x + entry.width)
+            .sort((a, b) => b.y - a.y)[0];
+        if (!platform) {
+            this.addEntry({ type: 'enemy', x: position.x, y: 0 });
+            return;
+        }
+
+        const x = Phaser.Math.Clamp(position.x, platform.x + halfWidth, platform.x + platform.width - halfWidth);
+        const patrol = Math.max(0, platform.x + platform.width - halfWidth - x);
+        this.addEntry({ type: 'enemy', x, y: platform.y, patrol });
+    }
+
+    /**
+     * Shows the grid position under the pointer.
+     */
+    onPointerMove(pointer) {
+        if (pointer.y < TOOLBAR_HEIGHT) {
+            this.cursorText.setText('');
+            return;
+        }
+        const position = this.toSegmentPosition(pointer);
+        this.cursorText.setText(`x ${position.x}, y ${position.y}`);
+    }
+
+    /**
+     * Scrolls the grid with the mouse wheel.
+     */
+    onWheel(pointer, gameObjects, deltaX, deltaY) {
+        this.scrollBy(deltaX + deltaY);
+    }
+
+    /**
+     * Keyboard shortcuts: 1-7 pick a tool, ENTER playtests.
+     * @param {KeyboardEvent} event - The DOM keyboard event
+     */
+    onKey(event) {
+        const toolIndex = Number(event.key) - 1;
+        if (Number.isInteger(toolIndex) && TOOLS[toolIndex]) {
+            this.selectTool(TOOLS[toolIndex].key);
+        } else if (event.key === 'Enter') {
+            this.playtest();
+        }
+    }
+
+    /**
+     * Scrolls the grid horizontally, keeping the segment in view.
+     * @param {number} amount - Pixels to scroll, positive to the right
+     */
+    scrollBy(amount) {
+        const camera = this.cameras.main;
+        const maxScroll = Math.max(0, SEGMENT_START_X * 2 + this.segment.length - this.scale.width);
+        camera.scrollX = Phaser.Math.Clamp(camera.scrollX + amount, 0, maxScroll);
+    }
+
+    /**
+     * Adds an entry, replacing any entry of the same type already on that spot.
+     * @param {{type: string, x: number, y: number, width?: number}} entry - Entry in segment coordinates
+     */
+    addEntry(entry) {
+        this.segment.entries = this.segment.entries.filter(other => !(other.type === entry.type && other.x === entry.x && other.y === entry.y));
+        this.segment.entries.push({ width: 0, patrol: 0, ...entry });
+        this.refresh();
+    }
+
+    /**
+     * Removes the entry under the pointer, if any.
+     */
+    eraseAt(pointer) {
+        // Whatever is drawn on top goes first, so enemies and coins come off before their platform
+        const hit = this.entrySprites
+            .filter(sprite => sprite.getBounds().contains(pointer.worldX, pointer.worldY))
+            .sort((a, b) => b.depth - a.depth)[0];
+        if (!hit) return;
+        const index = this.entrySprites.indexOf(hit);
+
+        this.segment.entries.splice(index, 1);
+        this.refresh();
+    }
+
+    /**
+     * Moves the segment up or down a difficulty tier.
+     * @param {number} step - +1 or -1
+     */
+    changeTier(step) {
+        this.segment.tier = Phaser.Math.Clamp(this.segment.tier + step, 1, MAX_TIER);
+        this.refresh();
+    }
+
+    /**
+     * Makes the segment longer or shorter. Entries past the new end are removed.
+     * @param {number} step - Pixels to add, negative to shorten
+     */
+    changeLength(step) {
+        this.segment.length = Phaser.Math.Clamp(this.segment.length + step, MIN_LENGTH, MAX_LENGTH);
+        this.segment.entries = this.segment.entries.filter(entry => entry.x + (entry.width || 0) <= this.segment.length);
+        this.scrollBy(0);
+        this.refresh();
+    }
+
+    /**
+     * Removes every entry.
+     */
+    clearSegment() {
+        this.segment.entries = [];
+        this.refresh();
+    }
+
+    /**
+     * Asks for a new segment name, used as its id and in the exported file name.
+     */
+    renameSegment() {
+        const answer = window.prompt('Segment name:', this.segment.id);
+        if (answer === null) return; // Cancelled
+        const id = answer.trim().replace(/\s+/g, '-');
+        if (id) {
+            this.segment.id = id;
+            this.refresh();
+        }
+    }
+
+    /**
+     * Redraws the grid and entries, and rechecks the layout.
+     */
+    refresh() {
+        this.drawGrid();
+        this.drawEntries();
+        this.registry.set('editorSegment', toSegmentFile(this.segment));
+
+        const obstacles = this.segment.entries.filter(entry => entry.type !== 'coin' && entry.type !== 'platform').length;
+        const coins = this.segment.entries.length - obstacles;
+        this.infoText.setText(`${this.segment.id} | tier ${this.segment.tier} | ${this.segment.length}px | ${obstacles} obstacles, ${coins} coins`);
+
+        // Same check the chunk spawner makes before placing a chunk in a run
+        const results = CHECK_SPEEDS.map(speed => this.validator.canClear(this.segment.entries, speed));
+        const summary = CHECK_SPEEDS.map((speed, index) => `${Math.round(speed)}: ${results[index] ? 'yes' : 'NO'}`).join('   ');
+        this.statusText.setText(`Clearable at px/s   ${summary}`);
+        this.statusText.setColor(results.every(Boolean) ? '#2ecc71' : '#e74c3c');
+    }
+
+    /**
+     * Draws the grid over the segment, the ground, and the segment's start and end.
+     */
+    drawGrid() {
+        const { height } = this.scale;
+        const gfx = this.gridGraphics;
+        const endX = SEGMENT_START_X + this.segment.length;
+        gfx.clear();
+
+        gfx.fillStyle(0x8B4513, 1);
+        gfx.fillRect(0, this.groundY, endX + SEGMENT_START_X, height - this.groundY);
+
+        gfx.lineStyle(1, 0xffffff, 0.12);
+        for (let x = SEGMENT_START_X; x <= endX; x += GRID_SIZE) {
+            gfx.lineBetween(x, this.groundY - MAX_HEIGHT, x, this.groundY);
+        }
+        for (let y = this.groundY; y >= this.groundY - MAX_HEIGHT; y -= GRID_SIZE) {
+            gfx.lineBetween(SEGMENT_START_X, y, endX, y);
+        }
+
+        gfx.lineStyle(2, 0xf8b200, 1);
+        gfx.lineBetween(SEGMENT_START_X, TOOLBAR_HEIGHT, SEGMENT_START_X, this.groundY);
+        gfx.lineBetween(endX, TOOLBAR_HEIGHT, endX, this.groundY);
+
+        // Patrol routes, just above the collectors walking them
+        gfx.lineStyle(2, 0xe74c3c, 0.8);
+        this.segment.entries.filter(entry => entry.patrol > 0).forEach(entry => {
+            const y = this.groundY - entry.y - TARGET_SIZES.enemy.height - 6;
+            gfx.lineBetween(SEGMENT_START_X + entry.x, y, SEGMENT_START_X + entry.x + entry.patrol, y);
+        });
+    }
+
+    /**
+     * Shows each entry with the same texture and size a run spawns it with.
+     */
+    drawEntries() {
+        this.entrySprites.forEach(sprite => sprite.destroy());
+        this.entrySprites = this.segment.entries.map(entry => {
+            const x = SEGMENT_START_X + entry.x;
+            switch (entry.type) {
+                case 'coin':
+                    return this.add.image(x, this.groundY - entry.y, 'coin').setDepth(1)
+                        .setDisplaySize(TARGET_SIZES.coin.width, TARGET_SIZES.coin.height);
+                case 'enemy':
+                    return this.add.image(x, this.groundY - entry.y, 'enemy').setOrigin(0.5, 1).setDepth(1)
+                        .setDisplaySize(TARGET_SIZES.enemy.width, TARGET_SIZES.enemy.height);
+                case 'enemy_flying':
+                    return this.add.image(x, this.groundY - entry.y, TEXTURE_KEYS.flyingEnemy).setDepth(1)
+                        .setDisplaySize(TARGET_SIZES.flyingEnemy.width, TARGET_SIZES.flyingEnemy.height);
+                case 'red_tape':
+                    return this.add.tileSprite(x, this.groundY - MAX_HEIGHT, Constants.RED_TAPE_WIDTH,
+                        MAX_HEIGHT - Constants.RED_TAPE_CLEARANCE, TEXTURE_KEYS.redTape)
+                        .setOrigin(0.5, 0).setDepth(1);
+                case 'platform':
+                    return this.add.tileSprite(x, this.groundY - entry.y, entry.width, Constants.PLATFORM_THICKNESS, TEXTURE_KEYS.platform)
+                        .setOrigin(0, 0);
+                default: // pit_lava
+                    return this.add.image(x + entry.width / 2, this.groundY + 10, TEXTURE_KEYS.pit)
+                        .setDisplaySize(entry.width, 32);
+            }
+        });
+    }
+
+    /**
+     * Plays the segment in a run, over and over, then comes back here from the results screen.
+     */
+    playtest() {
+        fadeToScene(this, 'GameScene', { mode: DEFAULT_MODE, segment: toSegmentFile(this.segment), playtest: true });
+    }
+
+    /**
+     * Downloads the segment as a segment file.
+     */
+    exportSegment() {
+        downloadJson(toSegmentFile(this.segment), getSegmentFileName(this.segment));
+    }
+
+    /**
+     * Lets the designer open a segment file, replacing the current segment.
+     */
+    importSegment() {
+        pickJsonFile()
+            .then(data => {
+                if (!data) return;
+                this.segment = parseSegmentFile(data);
+                this.cameras.main.scrollX = 0;
+                this.refresh();
+            })
+            .catch(error => {
+                console.warn('Failed to import segment:', error);
+                this.statusText.setText(`Couldn't open that segment: ${error.message}`).setColor('#e74c3c');
+            });
+    }
+
+    /**
+     * Drops listeners that aren't tied to game objects.
+     */
+    shutdown() {
+        this.input.off('pointerdown', this.onPointerDown, this);
+        this.input.off('pointerup', this.onPointerUp, this);
+        this.input.off('pointermove', this.onPointerMove, this);
+        this.input.off('wheel', this.onWheel, this);
+        this.input.keyboard.off('keydown', this.onKey, this);
+        this.entrySprites = [];
+        this.toolButtons = {};
+    }
+}
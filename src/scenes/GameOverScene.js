@@ -0,0 +1,258 @@
+/**
+ * MYOB Dash - Game Over Scene
+ * Results screen with the run breakdown, initials entry and the leaderboard
+ */
+import Constants from '../config/constants.js';
+import GameModes, { DEFAULT_MODE } from '../config/modes.js';
+import Leaderboard, { DEFAULT_RANKING, LEADERBOARD_RANKINGS } from '../systems/Leaderboard.js';
+import Replay from '../systems/Replay.js';
+import { createTextButton } from '../ui/buttons.js';
+import { fadeToScene } from '../ui/transitions.js';
+import { downloadReplay } from '../utils/replayFiles.js';
+
+const GAME_OVER_BACKGROUND_COLOR = '#2c1a4d';
+
+// What ended the run, keyed by the cause GameScene.endGame() is given
+const CAUSES_OF_DEATH = {
+    taxCollector: 'Caught by a tax collector',
+    taxDrone: 'Hit by a tax drone',
+    auditBot: 'Flagged by an audit bot',
+    redTape: 'Tangled in red tape',
+    paperwork: 'Buried in paperwork',
+    pit: 'Fell into a pit',
+    restarted: 'Restarted the run'
+};
+
+export default class GameOverScene extends Phaser.Scene {
+    constructor() {
+        super('GameOverScene');
+
+        this.results = null;        // Stats of the finished run, from GameScene
+        this.leaderboard = null;
+        this.leaderboardText = null;
+        this.rankingButton = null;  // Switches the table between rankings
+        this.newEntry = null;       // Entry saved from this run, highlighted in the table
+        this.initialsText = null;
+        this.promptText = null;
+
+        // --- High Score Entry ---
+        this.enteringInitials = false; // True while the player types their initials
+        this.initials = '';
+        this.maxInitialsLength = Constants.INITIALS_LENGTH;
+    }
+
+    /**
+     * @param {{score: number, coinScore: number, distanceScore: number, coins: number, bestCombo: number, distance: number, powerUpsUsed: number, causeOfDeath: string, mode: string, seed: number, leaderboardKey: string, isReplay: boolean, segment: ?object, playtest: boolean, ghostGap: ?number, replayMatched: ?boolean}} data - Results of the run
+     */
+    init(data) {
+        this.results = data;
+        this.enteringInitials = false;
+        this.initials = '';
+        this.newEntry = null;
+    }
+
+    create() {
+        const { width, height } = this.scale;
+        const results = this.results;
+
+        this.cameras.main.setBackgroundColor(GAME_OVER_BACKGROUND_COLOR);
+        this.leaderboard = new Leaderboard(results.leaderboardKey);
+
+        this.add.text(width / 2, 40, results.isReplay ? 'Replay Over' : 'Game Over', { fontSize: '48px', fill: '#e74c3c', fontStyle: 'bold', stroke: '#000', strokeThickness: 4 })
+            .setOrigin(0.5);
+        this.add.text(width / 2, 92, `Score: ${results.score}`, { fontSize: '28px', fill: '#f8b200', fontStyle: 'bold' })
+            .setOrigin(0.5);
+
+        // --- Run Breakdown ---
+        const mode = GameModes[results.mode] || GameModes[DEFAULT_MODE];
+        const breakdown = [
+            ['Mode', mode.name],
+            ['Coin points', `${results.coinScore} (${results.coins} coins)`],
+            ['Best combo', results.bestCombo > 1 ? `${results.bestCombo}x` : '-'],
+            ['Distance points', `${results.distanceScore} (${results.distance} m)`],
+            ['Power-ups used', results.powerUpsUsed],
+            ['Cause', CAUSES_OF_DEATH[results.causeOfDeath] || 'Unknown'],
+            ['Seed', results.seed]
+        ];
+        if (results.ghostGap !== null && results.ghostGap !== undefined) {
+            breakdown.push(['Vs ghost', `${results.ghostGap >= 0 ? '+' : ''}${results.ghostGap} m`]);
+        }
+        const labelStyle = { fontSize: '18px', fill: '#dddddd' };
+        const valueStyle = { fontSize: '18px', fill: '#ffffff', fontStyle: 'bold' };
+        breakdown.forEach(([label, value], index) => {
+            const y = 132 + index * 28;
+            this.add.text(40, y, label, labelStyle);
+            this.add.text(width / 2 - 30, y, String(value), valueStyle).setOrigin(1, 0);
+        });
+
+        // --- Leaderboard ---
+        const boardTitle = mode.daily ? `Today's Challenge` : 'Leaderboard';
+        this.add.text(width * 0.75, 130, boardTitle, { fontSize: '20px', fill: '#ffffff', fontStyle: 'bold' }).setOrigin(0.5, 0);
+        this.rankingButton = createTextButton(this, width - 52, 142, '', () => this.toggleRanking(), {
+            fontSize: '14px', padding: { x: 8, y: 4 }
+        });
+        this.leaderboardText = this.add.text(width * 0.75, 160, '', {
+            fontSize: '16px', fill: '#ffffff', fontFamily: 'monospace', align: 'left', lineSpacing: 2
+        }).setOrigin(0.5, 0);
+        this.initialsText = this.add.text(width * 0.75, 190, '', {
+            fontSize: '32px', fill: '#f8b200', fontStyle: 'bold', stroke: '#000', strokeThickness: 4, align: 'center'
+        }).setOrigin(0.5).setVisible(false);
+        this.promptText = this.add.text(width * 0.75, 240, '', { fontSize: '16px', fill: '#dddddd', align: 'center' })
+            .setOrigin(0.5).setVisible(false);
+
+        // --- Buttons ---
+        createTextButton(this, width / 2 - 170, height - 45, 'Retry', () => this.retry());
+        createTextButton(this, width / 2, height - 45, 'Save Replay', () => this.saveReplay());
+        if (results.playtest) {
+            createTextButton(this, width / 2 + 170, height - 45, 'Editor', () => this.goToEditor());
+        } else {
+            createTextButton(this, width / 2 + 170, height - 45, 'Menu', () => this.goToMenu());
+        }
+
+        this.input.keyboard.on('keydown-SPACE', this.retry, this);
+
+        if (results.isReplay) {
+            // Replays never go on the leaderboard; say whether playback reproduced the run instead
+            const status = results.replayMatched ? 'Replay matched the recorded run' : 'Replay went out of sync with the recording';
+            this.add.text(width / 2, height - 90, status, { fontSize: '16px', fill: results.replayMatched ? '#2ecc71' : '#e74c3c', fontStyle: 'bold' })
+                .setOrigin(0.5);
+            this.showLeaderboard();
+        } else if (results.segment) {
+            // A custom segment changes the course, so the run isn't comparable with the board
+            this.add.text(width / 2, height - 90, 'Runs with a custom segment are not ranked', { fontSize: '16px', fill: '#dddddd', fontStyle: 'bold' })
+                .setOrigin(0.5);
+            this.showLeaderboard();
+        } else if (this.leaderboard.qualifies(results)) {
+            this.startInitialsEntry();
+        } else {
+            this.showLeaderboard();
+        }
+
+        this.cameras.main.fadeIn(Constants.FADE_DURATION, 0, 0, 0);
+    }
+
+    /**
+     * Shows the leaderboard table in the chosen ranking, marking this run's entry if it placed.
+     */
+    showLeaderboard() {
+        const rankBy = this.registry.get('leaderboardRanking') || DEFAULT_RANKING;
+        const lines = this.leaderboard.formatLines(this.newEntry, rankBy);
+        this.leaderboardText.setText(lines.length > 0 ? lines.join('\n') : 'No scores yet').setVisible(true);
+        this.rankingButton.setText(LEADERBOARD_RANKINGS[rankBy]).setVisible(true);
+    }
+
+    /**
+     * Switches the table to the next ranking. The choice is shared with the menu's leaderboard.
+     */
+    toggleRanking() {
+        if (this.enteringInitials) return;
+        const rankBy = this.registry.get('leaderboardRanking') || DEFAULT_RANKING;
+        this.registry.set('leaderboardRanking', Leaderboard.nextRanking(rankBy));
+        this.showLeaderboard();
+    }
+
+    /**
+     * Starts typing initials for a qualifying score.
+     */
+    startInitialsEntry() {
+        this.enteringInitials = true;
+        this.initials = '';
+        this.leaderboardText.setVisible(false);
+        this.rankingButton.setVisible(false);
+        this.promptText.setText('New high score!\nType your initials, ENTER to save').setVisible(true);
+        this.initialsText.setText(this.formatInitials()).setVisible(true);
+        this.input.keyboard.on('keydown', this.handleInitialsKey, this);
+
+        // Touch devices have no keyboard to type initials with
+        this.promptText.setInteractive({ useHandCursor: true });
+        this.promptText.on('pointerdown', this.promptForInitials, this);
+        this.initialsText.setInteractive({ useHandCursor: true });
+        this.initialsText.on('pointerdown', this.promptForInitials, this);
+    }
+
+    /**
+     * Handles a key press while entering initials.
+     * @param {KeyboardEvent} event - The DOM keyboard event
+     */
+    handleInitialsKey(event) {
+        if (!this.enteringInitials) return;
+
+        if (event.key === 'Enter') {
+            this.submitInitials(this.initials);
+        } else if (event.key === 'Backspace') {
+            this.initials = this.initials.slice(0, -1);
+        } else if (/^[a-z0-9]$/i.test(event.key) && this.initials.length < this.maxInitialsLength) {
+            this.initials += event.key.toUpperCase();
+        }
+
+        if (this.enteringInitials) {
+            this.initialsText.setText(this.formatInitials());
+        }
+    }
+
+    /**
+     * Asks for initials with a browser prompt, for players without a keyboard.
+     */
+    promptForInitials() {
+        if (!this.enteringInitials) return;
+
+        const answer = window.prompt('New high score! Enter your initials:', this.initials);
+        if (answer === null) return; // Cancelled, keep waiting
+        this.submitInitials(answer.replace(/[^a-z0-9]/gi, '').toUpperCase().slice(0, this.maxInitialsLength));
+    }
+
+    /**
+     * Saves the run to the leaderboard under the given initials.
+     * @param {string} initials - Player initials, '???' is used if empty
+     */
+    submitInitials(initials) {
+        if (!this.enteringInitials) return;
+
+        this.enteringInitials = false;
+        this.input.keyboard.off('keydown', this.handleInitialsKey, this);
+        this.initialsText.setVisible(false).disableInteractive();
+        this.promptText.setVisible(false).disableInteractive();
+
+        this.newEntry = this.leaderboard.addEntry(initials || '???', this.results.score, this.results.distance);
+        this.showLeaderboard();
+    }
+
+    /**
+     * Formats the initials typed so far, padding the rest with underscores.
+     */
+    formatInitials() {
+        return this.initials.padEnd(this.maxInitialsLength, '_').split('').join(' ');
+    }
+
+    /**
+     * Starts another run in the same mode. Waits until any initials have been saved.
+     */
+    retry() {
+        if (this.enteringInitials) return;
+        fadeToScene(this, 'GameScene', { mode: this.results.mode, segment: this.results.segment, playtest: this.results.playtest });
+    }
+
+    /**
+     * Downloads the replay of the run that just ended.
+     */
+    saveReplay() {
+        const replayData = this.registry.get('lastReplay');
+        if (!replayData) return;
+        downloadReplay(Replay.fromJSON(replayData));
+    }
+
+    /**
+     * Returns to the title screen. Waits until any initials have been saved.
+     */
+    goToMenu() {
+        if (this.enteringInitials) return;
+        fadeToScene(this, 'MenuScene');
+    }
+
+    /**
+     * Returns to the editor after a playtest.
+     */
+    goToEditor() {
+        fadeToScene(this, 'EditorScene');
+    }
+}
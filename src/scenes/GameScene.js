@@ -0,0 +1,3500 @@
+import Constants from '../config/constants.js';
+import { TEXTURE_KEYS, TARGET_SIZES } from '../config/sprites.js';
+import GameModes, { getRunSeed, getLeaderboardKey } from '../config/modes.js';
+import Currencies from '../config/currencies.js';
+import Leaderboard from '../systems/Leaderboard.js';
+import AudioManager, { AUDIO_FILES } from '../systems/AudioManager.js';
+import Replay from '../systems/Replay.js';
+import GhostRun from '../systems/GhostRun.js';
+import ChunkSpawner from '../systems/ChunkSpawner.js';
+import { layOutCoins } from '../systems/CoinFormations.js';
+import JumpValidator from '../systems/JumpValidator.js';
+import BossFight from '../systems/BossFight.js';
+import { parseSegmentFile } from '../systems/Segment.js';
+import { FIXED_STEP_MS, lockTweensToSimulation } from '../systems/FixedTimestep.js';
+import { fadeToScene } from '../ui/transitions.js';
+import SeededRandom from '../utils/SeededRandom.js';
+import { getUrlParam } from '../utils/urlParams.js';
+
+/**
+ * Represents the main game scene for MYOB Dash.
+ * Handles game logic, rendering, player interactions, and effects.
+ */
+export default class GameScene extends Phaser.Scene {
+  constructor() {
+      super('GameScene');
+
+      // --- Game Object References ---
+      this.player = null;
+      this.playerHomeX = 0;     // Screen x the player runs at
+      this.groundPieces = null; // Scrolling ground platforms; pits are the gaps between them
+      this.groundEndX = 0;      // Screen x where the laid ground ends
+      this.platforms = null;    // Floating one-way platforms, landed on like the ground
+      this.coins = null;
+      this.powerUpPickups = null; // Pooled power-up pickups, one icon per type
+      this.lifePickups = null;    // Pooled extra-life pickups
+      this.enemies = null;
+      this.flyingEnemies = null; // New group for flying obstacles
+      this.redTape = null;       // Low barriers that can only be slid under
+      this.auditBots = null;     // Homing enemies that fly in after a warning
+      this.auditBotWarning = null; // Flashing marker at the right edge before an audit bot enters
+      this.background = null;
+      this.backgroundFar = null; // Distant mountains (slow parallax)
+      this.backgroundMid = null; // Mid-distance hills (medium parallax)
+
+      // --- Juice Elements ---
+      this.scorePopups = [];         // For floating score text
+      this.comboCount = 0;           // Track consecutive coin collection
+      this.comboTimer = null;        // Timer to reset combo
+      this.comboText = null;         // Display current combo
+      this.screenFlash = null;       // Screen flash effect
+      this.timeDilation = 1;         // Time dilation factor
+      this.timeWarpTween = null;     // Time warp tween
+      this.hitStop = false;          // Freeze frames boolean
+      this.hitStopTimer = null;      // Timer for freeze frames
+      this.lastComboHitTime = 0;     // Time of the last coin or stomp
+      this.comboWindow = Constants.COMBO_TIME_WINDOW; // ms the next hit has to keep the combo going; refunds stretch it
+      this.cameraOriginalZoom = 1;   // Store original camera zoom
+      this.environmentEmitters = []; // Array of background particle emitters
+
+      // --- UI Elements ---
+      this.scoreText = null;
+      this.powerUpText = null;
+      this.highScoreText = null;
+      this.distanceText = null;     // HUD readout of metres run
+      this.multiplierText = null;
+      this.powerUpMeterFill = null; // Bar filled by coins; a fuller meter spawns pickups more often
+      this.hearts = [];             // HUD heart icons, one per life
+
+      // --- Audio ---
+      this.audio = null;           // AudioManager, owns all sounds and audio settings
+      this.sfxKeys = ['jump', 'doublejump', 'coin', 'stomp', 'bossHit', 'hit', 'powerup', 'gameOver', 'shieldActivate', 'shieldHit'];
+      this.muteIcon = null;        // On-screen mute toggle
+      this.pauseButton = null;     // On-screen pause button for touch
+
+      // --- Particle Emitters ---
+      this.coinEmitter = null;     // Emitter for coin collection
+      this.jumpEmitter = null;     // Emitter for player jump dust
+      this.powerUpEmitter = null;  // Emitter for power-up trail
+      this.doubleJumpEmitter = null; // Emitter for double jump effect
+
+      // --- Game State & Mechanics ---
+      this.score = 0;
+      this.highScore = 0;
+      this.leaderboard = null; // Local top-10 table, reloaded each run
+      this.scoreMultiplier = 1;
+      this.multiplierTimer = null;
+      this.gameOver = false;
+      this.groundY = 0;
+      this.coinsCollectedForPowerUp = 0; // Fills the power-up meter
+      this.mode = 'classic'; // Game mode key from GameModes, passed in by MenuScene
+      this.seed = 0;         // Seed of this run's RNG, shown on the game-over screen
+      this.rng = null;       // Seeded RNG behind all gameplay randomness, so a seed replays the same run
+      this.leaderboardKey = 'classic'; // Board this run is saved to, fixed at the start of the run
+
+      // --- Replays ---
+      this.frame = 0;              // Simulation frames since the run started; replay events are tagged with it
+      this.recording = null;       // Replay being recorded during a live run
+      this.playback = null;        // Replay being played back, or null for a live run
+      this.pointerJumpQueued = false; // Taps arrive between frames, so they wait for the next update
+      this.pointerReleaseQueued = false;
+      this.replayText = null;      // "REPLAY" tag shown during playback
+
+      // --- Custom Segment ---
+      this.segmentData = null;     // Segment file the run starts with, from the editor or `?segment=`
+      this.segment = null;         // The same segment parsed into a chunk, or null for a normal run
+      this.segmentPlaced = false;
+      this.playtest = false;       // Started from the editor: the segment repeats and results go back there
+
+      // --- Ghost Race ---
+      this.ghostRun = null;        // Saved best run being raced, or null
+      this.ghostRecording = null;  // Samples of this run, saved if it beats the ghost
+      this.ghostSprite = null;
+      this.ghostText = null;       // HUD readout of the gap to the ghost
+
+      // --- Run Stats --- (Shown on the game-over screen)
+      this.coinsCollected = 0;
+      this.bestCombo = 0;
+      this.distanceTravelled = 0; // Pixels scrolled this run
+      this.distanceScore = 0;     // Part of the score earned by distance rather than coins and stomps
+      this.powerUpsUsed = 0;
+      this.causeOfDeath = null;   // Key into the game-over screen's causes of death
+
+      // --- Jump Mechanics ---
+      this.hasDoubleJumped = false; // Track if player has used double jump
+      this.jumpDownActive = false; // Track if player is jumping down
+
+      // --- Coyote Time --- (Allows jumping shortly after leaving ground)
+      this.coyoteTimeDuration = Constants.COYOTE_TIME_DURATION; // ms
+      this.coyoteTimeCounter = 0; // Current counter
+
+      // --- Jump Buffering --- (Allows queuing a jump shortly before landing)
+      this.jumpBufferDuration = Constants.JUMP_BUFFER_DURATION; // ms
+      this.jumpBufferCounter = 0; // Current counter
+
+      // --- Player State for Effects ---
+      this.wasInAir = false;
+      this.framesInAir = 0; // Frames since the player last stood on the ground or a platform
+
+      // --- Difficulty & Progression ---
+      this.baseScrollSpeed = Constants.BASE_SCROLL_SPEED;
+      this.scrollSpeed = 0;
+      this.maxScrollSpeed = Constants.MAX_SCROLL_SPEED;
+      this.speedIncreaseFactor = Constants.SPEED_INCREASE_FACTOR;
+
+      this.baseSpawnDelay = Constants.BASE_SPAWN_DELAY;
+      this.spawnDelay = 0;
+      this.minSpawnDelay = Constants.MIN_SPAWN_DELAY;
+      this.spawnDecreaseFactor = Constants.SPAWN_DECREASE_FACTOR;
+
+      // --- Obstacle Chunks ---
+      this.chunkSpawner = null;   // Picks the hand-authored patterns of coins, enemies and pits
+      this.nextChunkDistance = 0; // distanceTravelled at which the last chunk has fully scrolled in
+      this.bossFight = null;      // The End of Financial Year fight, while one is on
+      this.nextBossScore = Constants.BOSS_SCORE_INTERVAL; // Score that starts the next fight
+
+      // --- Timers ---
+      this.powerUpTimer = null;
+      this.powerUpFlashEvent = null;
+      this.powerUpSpawnTimer = null; // Rolls for power-up pickups
+      this.auditBotSpawnTimer = null; // Rolls for audit bots
+      this.auditBotWarningTimer = null; // Counts down the warning before an audit bot enters
+      this.lifePickupSpawnTimer = null; // Rolls for extra-life pickups
+      this.invulnerableTimer = null;    // Ends the blink after losing a heart
+
+      // --- Power-Up State ---
+      this.powerUpActive = false;
+      this.powerUpDuration = Constants.POWER_UP_DURATION;
+      this.powerUpSpeedBoost = Constants.POWER_UP_SPEED_BOOST;
+      this.activePowerUpType = null; // Current active power-up
+      this.powerUpTypes = ['speed', 'shield', 'magnet', 'multiplier'];
+      this.shieldSprite = null; // Visual for the shield
+      this.shieldEmitter = null; // Particles trailing the shielded player
+      this.shieldTextureKey = TEXTURE_KEYS.shield;
+      this.magnetRing = null; // Visual for the magnet's pull radius
+      this.multiplierBadge = null; // "x2" tag shown above the player
+
+      // --- Input ---
+      this.cursors = null;
+      this.spaceKey = null;
+      this.downKey = null; // Track down key for jump down
+
+      // --- Animation Keys ---
+      this.playerRunAnimKey = 'player-run';
+      this.playerJumpAnimKey = 'player-jump';
+      this.playerDoubleJumpAnimKey = 'player-double-jump';
+      this.playerJumpDownAnimKey = 'player-jump-down';
+      this.playerSlideAnimKey = 'player-slide';
+      this.coinIdleAnimKey = 'coin-idle'; // For coin animation/tween
+
+      // --- Asset Keys ---
+      this.particleTextureKey = TEXTURE_KEYS.particle; // Key for particle texture
+      this.flyingEnemyKey = TEXTURE_KEYS.flyingEnemy; // Key for the new enemy type
+      this.auditBotKey = TEXTURE_KEYS.auditBot;
+      this.targetSizes = TARGET_SIZES; // Display size of each game object
+
+      // --- Player Original Dimensions ---
+      this.playerOriginalWidth = 0;
+      this.playerOriginalHeight = 0;
+
+      // --- Player Scale ---
+      this.playerScaleX = 1;
+      this.playerScaleY = 1;
+  }
+
+  /**
+   * Preloads the run's sounds and level data. Images are loaded once, by PreloadScene.
+   */
+  preload() {
+      this.load.setBaseURL('assets/');
+
+      // --- Audio Files ---
+      // Load audio, falling back to the next variation when a file is missing
+      this.audio = new AudioManager(this);
+      this.audio.queueAudio(AUDIO_FILES);
+
+      // --- Level Data ---
+      this.load.json('chunks', 'data/chunks.json');
+      const segmentUrl = getUrlParam('segment');
+      if (segmentUrl && !this.segmentData && !this.playback) {
+          // Resolved against the page rather than the assets folder
+          this.load.json('segment', new URL(segmentUrl, window.location.href).href);
+      }
+  }
+
+  /**
+   * Receives the run settings from the scene that started this one.
+   * @param {{mode: string, replay: object, segment: object, playtest: boolean}} data - Game mode key, defaults to classic.
+   *     A replay in the saved file format plays that run back instead, taking its mode, seed and segment from the replay.
+   *     A segment file is placed before the first chunk, or over and over for an editor playtest.
+   */
+  init(data) {
+      this.playback = data && data.replay ? Replay.fromJSON(data.replay) : null;
+      this.mode = this.playback ? this.playback.mode : (data && data.mode) || 'classic';
+      this.segmentData = this.playback ? this.playback.segment : (data && data.segment) || null;
+      this.playtest = !this.playback && Boolean(data && data.playtest);
+
+      // Fix the day once, so a daily run that crosses midnight keeps its seed and board
+      const runDate = new Date();
+      this.seed = this.playback ? this.playback.seed : getRunSeed(this.mode, runDate);
+      this.leaderboardKey = getLeaderboardKey(this.mode, runDate);
+      this.rng = new SeededRandom(this.seed);
+      this.recording = this.playback ? null : new Replay({ mode: this.mode, seed: this.seed });
+      if (this.playback) {
+          this.registry.set('lastReplay', data.replay); // So the results screen saves the replay being watched
+      }
+
+      this.resetRunState();
+  }
+
+  /**
+   * Resets everything a previous run may have left behind. The scene instance is
+   * reused between runs, so any state not reset here would leak into the next one.
+   */
+  resetRunState() {
+      this.score = 0;
+      this.gameOver = false;
+      this.scrollSpeed = this.baseScrollSpeed;
+      this.spawnDelay = this.baseSpawnDelay;
+      this.powerUpActive = false;
+      this.coinsCollectedForPowerUp = 0;
+      this.hasDoubleJumped = false;
+      this.jumpDownActive = false;
+      this.coyoteTimeCounter = 0; // Reset coyote timer
+      this.jumpBufferCounter = 0; // Reset jump buffer
+      this.wasInAir = false; // Reset air state
+      this.framesInAir = 0;
+      this.downHeld = false; // Down is held: fast fall in the air, slide on the ground
+      this.sliding = false;
+      this.frame = 0;
+      this.pointerJumpQueued = false;
+      this.pointerReleaseQueued = false;
+      this.jumpHeld = false; // Jump button is down; letting go early cuts the jump short
+      this.lives = Constants.LIVES;
+      this.invulnerable = false; // Blinking after losing a heart; nothing can hurt the player
+      this.blinkTween = null;
+      this.rescuing = false;     // Springing back up out of a pit, through the ground
+      this.blinkUntilLanding = false; // After a pit, the blink only starts counting down once back on solid ground
+      this.segmentPlaced = false;
+      this.ghostRun = null;
+      this.ghostRecording = null;
+      this.ghostSprite = null;
+      this.cleanupTimers();
+      this.activePowerUpType = null; // Reset active power-up type
+
+      // Juice state
+      this.comboCount = 0;
+      this.scoreMultiplier = 1;
+      this.lastComboHitTime = -Infinity;
+      this.comboWindow = Constants.COMBO_TIME_WINDOW;
+      this.timeDilation = 1;
+      this.timeWarpTween = null;
+      this.scorePopups = [];
+      this.environmentEmitters = [];
+
+      // Run stats
+      this.coinsCollected = 0;
+      this.bestCombo = 0;
+      this.distanceTravelled = 0;
+      this.distanceScore = 0;
+      this.nextChunkDistance = 0;
+      this.bossFight = null;
+      this.nextBossScore = Constants.BOSS_SCORE_INTERVAL;
+      this.powerUpsUsed = 0;
+      this.causeOfDeath = null;
+
+      // Game objects from the last run were destroyed with its display list
+      this.shieldSprite = null;
+      this.shieldEmitter = null;
+      this.magnetRing = null;
+      this.multiplierBadge = null;
+      this.hearts = [];
+  }
+
+  /**
+   * Creates game objects, physics, animations, particles, and initializes state.
+   */
+  create() {
+      lockTweensToSimulation(this); // Gameplay tweens (coin bobbing, squash & stretch) must replay exactly
+
+      this.leaderboard = new Leaderboard(this.leaderboardKey);
+      this.highScore = this.leaderboard.getBestScore();
+      // Falls back to built-in chunks if the file failed to load
+      this.chunkSpawner = new ChunkSpawner(this.cache.json.get('chunks'), new JumpValidator());
+      this.segment = this.loadSegment();
+      if (this.recording) this.recording.segment = this.segmentData;
+
+      const { width, height } = this.scale;
+      this.groundY = height * 0.9;
+
+      // --- Background ---
+      if (this.textures.exists('background')) {
+          this.background = this.add.tileSprite(0, 0, width, height, 'background')
+              .setOrigin(0, 0).setScrollFactor(0);
+      } else {
+          this.cameras.main.setBackgroundColor('#e0f0f8');
+      }
+
+      // --- Ground ---
+      // Create ground texture if it doesn't exist
+      if (!this.textures.exists('ground')) {
+          const gfx = this.make.graphics({ x: 0, y: 0 }, false);
+
+          // Main platform fill - brown
+          gfx.fillStyle(0x8B4513, 1);
+          gfx.fillRect(0, 0, 128, 32);
+
+          // Top edge - lighter color
+          gfx.fillStyle(0xA0522D, 1);
+          gfx.fillRect(0, 0, 128, 5);
+
+          // Add texture details - small dots and lines
+          gfx.fillStyle(0x704214, 1);
+
+          // Random small dots
+          for (let i = 0; i < 20; i++) {
+              const x = Phaser.Math.Between(5, 123);
+              const y = Phaser.Math.Between(8, 28);
+              gfx.fillRect(x, y, 2, 2);
+          }
+
+          // A few horizontal lines
+          for (let i = 0; i < 3; i++) {
+              const y = Phaser.Math.Between(10, 25);
+              const width = Phaser.Math.Between(30, 60);
+              const x = Phaser.Math.Between(5, 128 - width - 5);
+              gfx.fillRect(x, y, width, 1);
+          }
+
+          gfx.generateTexture('ground', 128, 32);
+          gfx.destroy();
+      }
+      // Ground is laid in pieces that scroll with the course, so pits can leave real gaps
+      this.groundPieces = this.physics.add.group({
+          allowGravity: false,
+          immovable: true
+      });
+      this.groundEndX = 0;
+      this.extendGround();
+
+      // Platforms are only solid from above, so the player can jump up through them
+      this.platforms = this.physics.add.group({
+          allowGravity: false,
+          immovable: true
+      });
+
+      // --- Player ---
+      const playerX = width * 0.15;
+      this.playerHomeX = playerX;
+      const playerTextureKey = this.textures.exists('player_sheet') ? 'player_sheet' : 'player';
+      this.player = this.physics.add.sprite(playerX, this.groundY - 50, playerTextureKey);
+
+      // Check if we have saved scale data from previous game
+      const hasSavedScale = this.data && this.data.has('playerScaleData');
+
+      if (hasSavedScale) {
+          // Restore player scale from saved data
+          const scaleData = this.data.get('playerScaleData');
+          this.playerOriginalWidth = scaleData.originalWidth;
+          this.playerOriginalHeight = scaleData.originalHeight;
+          this.playerScaleX = scaleData.scaleX;
+          this.playerScaleY = scaleData.scaleY;
+
+          // Apply the saved scale explicitly
+          this.player.setScale(this.playerScaleX, this.playerScaleY);
+      } else {
+          // First time, store original dimensions
+          this.playerOriginalWidth = this.player.width;
+          this.playerOriginalHeight = this.player.height;
+
+          // Scale down the large spritesheet to appropriate game size
+          if (this.textures.exists('player_sheet')) {
+              this.scaleToTargetSize(this.player, 'player');
+              // Store the computed scale for future reference
+              this.playerScaleX = this.player.scaleX;
+              this.playerScaleY = this.player.scaleY;
+          }
+      }
+
+      // --- Player Animations ---
+      if (this.textures.exists('player_sheet')) {
+          // Manually analyze the image
+          const texture = this.textures.get('player_sheet');
+          const source = texture.getSourceImage();
+          const framesHorizontal = 5;
+          if (source) {
+              const imgWidth = source.width - 95;
+              const imgHeight = source.height;
+
+              // Calculate frame details
+              const frameWidth = Math.floor(imgWidth / framesHorizontal);
+              const frameHeight = imgHeight;
+
+              // Remove existing spritesheet and recreate it with exact frame coordinates
+              this.textures.remove('player_sheet');
+
+              // Create a new texture atlas with explicit frame definitions
+              const atlasKey = 'player_atlas';
+              const atlasData = {
+                  frames: {}
+              };
+
+              // Define each frame with explicit coordinates
+              for (let i = 0; i < framesHorizontal; i++) {
+                  atlasData.frames[`run_${i}`] = {
+                      frame: {
+                          x: i * frameWidth,
+                          y: 0,
+                          w: frameWidth,
+                          h: frameHeight
+                      },
+                      rotated: false,
+                      trimmed: false,
+                      spriteSourceSize: {
+                          x: 0,
+                          y: 0,
+                          w: frameWidth,
+                          h: frameHeight
+                      },
+                      sourceSize: {
+                          w: frameWidth,
+                          h: frameHeight
+                      }
+                  };
+              }
+
+              // Add the texture atlas using the source image
+              this.textures.addAtlas(atlasKey, source, atlasData);
+
+              // Create animations using the explicit frame names
+              this.anims.create({
+                  key: this.playerRunAnimKey,
+                  frames: [
+                      { key: atlasKey, frame: 'run_0' },
+                      { key: atlasKey, frame: 'run_1' },
+                      { key: atlasKey, frame: 'run_2' },
+                      { key: atlasKey, frame: 'run_3' }
+                  ],
+                  frameRate: 8,
+                  repeat: -1
+              });
+
+              // Other animations with explicit frames
+              this.anims.create({
+                  key: this.playerJumpAnimKey,
+                  frames: [{ key: atlasKey, frame: 'run_4' }],
+                  frameRate: 20
+              });
+
+              const doubleJumpFrame = framesHorizontal > 5 ? 'run_5' : 'run_4';
+              this.anims.create({
+                  key: this.playerDoubleJumpAnimKey,
+                  frames: [{ key: atlasKey, frame: doubleJumpFrame }],
+                  frameRate: 20
+              });
+
+              const jumpDownFrame = framesHorizontal > 6 ? 'run_6' : 'run_4';
+              this.anims.create({
+                  key: this.playerJumpDownAnimKey,
+                  frames: [{ key: atlasKey, frame: jumpDownFrame }],
+                  frameRate: 20
+              });
+
+              // The sheet has no slide pose, so sliding holds the lunging frame
+              this.anims.create({
+                  key: this.playerSlideAnimKey,
+                  frames: [{ key: atlasKey, frame: 'run_4' }],
+                  frameRate: 20
+              });
+
+              // Update player to use the new atlas texture
+              this.player.setTexture(atlasKey, 'run_0');
+              this.player.play(this.playerRunAnimKey);
+          }
+      } else {
+           this.player.setSize(32, 48);
+      }
+
+      // Improved hitbox - more precise for collision detection
+      this.player.setBounce(0.1);
+      this.player.setGravityY(Constants.PLAYER_GRAVITY_Y);
+      this.player.setCollideWorldBounds(false);
+
+      // Apply consistent hitbox
+      this.setupPlayerHitbox();
+
+      this.player.setDepth(2); // Above platform
+
+      // --- Particle Emitters ---
+      // Coin collection emitter (configured but not started)
+      this.coinEmitter = this.add.particles(0, 0, this.particleTextureKey, {
+          speed: { min: 100, max: 250 },
+          angle: { min: 225, max: 315 }, // Burst upwards and outwards
+          scale: { start: 0.8, end: 0 },
+          blendMode: 'ADD', // Bright effect
+          lifespan: 400,
+          gravityY: 300,
+          frequency: -1, // Emit only on explode
+          quantity: 15 // Number of particles per burst
+      }).setDepth(5);
+
+      // Jump dust emitter (configured but not started)
+      this.jumpEmitter = this.add.particles(0, 0, this.particleTextureKey, {
+          speed: { min: 20, max: 50 },
+          angle: { min: 250, max: 290 }, // Burst slightly upwards
+          scale: { start: 0.4, end: 0 },
+          alpha: { start: 0.5, end: 0 },
+          blendMode: 'NORMAL',
+          lifespan: 300,
+          gravityY: -100, // Slight upward drift
+          frequency: -1,
+          quantity: 8,
+          tint: 0xaaaaaa // Greyish tint for dust
+      }).setDepth(0); // Behind player
+
+      // Double jump special effect emitter
+      this.doubleJumpEmitter = this.add.particles(0, 0, this.particleTextureKey, {
+          speed: { min: 50, max: 100 },
+          angle: { min: 0, max: 360 }, // Circular burst
+          scale: { start: 0.5, end: 0 },
+          alpha: { start: 0.8, end: 0 },
+          blendMode: 'ADD',
+          lifespan: 400,
+          gravityY: 0, // No gravity effect
+          frequency: -1,
+          quantity: 12,
+          tint: 0x00ffff // Cyan tint for double jump
+      }).setDepth(2); // Above player
+
+      // Power-up trail emitter (attached to player, initially off)
+      this.powerUpEmitter = this.add.particles(0, 0, this.particleTextureKey, {
+          speed: 50,
+          scale: { start: 0.4, end: 0 },
+          blendMode: 'ADD',
+          lifespan: 300,
+          frequency: 80, // Emit particles regularly while active
+          tint: 0xffff00, // Yellow power-up color
+          follow: this.player, // Attach to player
+          followOffset: { x: -this.player.width * 0.4, y: 0 } // Emit from behind player center
+      }).setDepth(0).stop(); // Start inactive
+
+      // --- Physics Colliders ---
+      this.physics.add.collider(this.player, this.groundPieces);
+      this.physics.add.collider(this.player, this.platforms);
+
+      // --- Object Groups with Consistent Physics ---
+      // Create coin group with specific physics properties
+      this.coins = this.physics.add.group({
+          bounceX: 0,
+          bounceY: 0,
+          allowGravity: false,
+          immovable: true
+      });
+
+      // Create power-up pickup group, pooled like coins
+      this.createPowerUpPickupTextures();
+      this.powerUpPickups = this.physics.add.group({
+          bounceX: 0,
+          bounceY: 0,
+          allowGravity: false,
+          immovable: true
+      });
+
+      this.lifePickups = this.physics.add.group({
+          allowGravity: false,
+          immovable: true
+      });
+
+      // Create enemy groups with specific physics properties
+      this.enemies = this.physics.add.group({
+          bounceX: 0,
+          bounceY: 0,
+          allowGravity: false,
+          immovable: true
+      });
+
+      this.flyingEnemies = this.physics.add.group({
+          bounceX: 0,
+          bounceY: 0,
+          allowGravity: false,
+          immovable: true
+      });
+
+      this.redTape = this.physics.add.group({
+          allowGravity: false,
+          immovable: true
+      });
+
+      this.auditBots = this.physics.add.group({
+          allowGravity: false,
+          immovable: true
+      });
+
+      // --- Collision/Overlap Handlers ---
+      this.physics.add.overlap(this.player, this.coins, this.collectCoin, null, this);
+      this.physics.add.overlap(this.player, this.powerUpPickups, this.collectPowerUpPickup, null, this);
+      this.physics.add.overlap(this.player, this.lifePickups, this.collectLifePickup, null, this);
+      // Check collisions with both enemy types
+      // Only the speed surge and the blink after losing a heart let the player pass through
+      // enemies; a shield has to take the hit
+      this.physics.add.collider(this.player, this.enemies, this.hitEnemy, this.canBeHit, this);
+      this.physics.add.collider(this.player, this.flyingEnemies, this.hitEnemy, this.canBeHit, this);
+      this.physics.add.collider(this.player, this.redTape, this.hitEnemy, this.canBeHit, this);
+      this.physics.add.collider(this.player, this.auditBots, this.hitEnemy, this.canBeHit, this);
+
+      // --- Input Setup ---
+      this.cursors = this.input.keyboard.createCursorKeys();
+      this.spaceKey = this.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.SPACE);
+      this.downKey = this.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.DOWN);
+      this.input.on('pointerdown', this.handleJumpInput, this);
+      this.input.on('pointerup', this.handleJumpRelease, this);
+      this.input.keyboard.on('keydown-M', this.toggleMute, this);
+      this.input.keyboard.on('keydown-P', this.pauseGame, this);
+      this.input.keyboard.on('keydown-ESC', this.pauseGame, this);
+
+      // Auto-pause when the tab is hidden or the window loses focus, so spawns can't pile up unseen
+      this.game.events.on(Phaser.Core.Events.HIDDEN, this.pauseGame, this);
+      this.game.events.on(Phaser.Core.Events.BLUR, this.pauseGame, this);
+      this.events.on('resume', this.onResume, this);
+
+      // --- Audio ---
+      // Synthesize placeholders for any sound effects that have no audio file
+      this.sfxKeys.forEach(key => this.audio.ensureSoundExists(key));
+      this.audio.createSounds(this.sfxKeys);
+      this.audio.playMusic('music');
+      this.createMuteIcon();
+      this.createPauseButton();
+
+      // Phaser doesn't call shutdown() by itself, so hook it to the scene event
+      this.events.once('shutdown', this.shutdown, this);
+
+      // --- UI Text ---
+      const textStyle = { fontSize: '24px', fill: '#1a1a1a', fontStyle: 'bold' };
+      this.scoreText = this.add.text(16, 16, 'Score: 0', textStyle).setScrollFactor(0).setDepth(10);
+      this.highScoreText = this.add.text(16, 46, `Best: ${this.highScore}`, { fontSize: '16px', fill: '#1a1a1a', fontStyle: 'bold' })
+          .setScrollFactor(0).setDepth(10);
+      this.distanceText = this.add.text(16, 66, '0 m', { fontSize: '16px', fill: '#1a1a1a', fontStyle: 'bold' })
+          .setScrollFactor(0).setDepth(10);
+      this.powerUpText = this.add.text(width - 16, 16, '', { ...textStyle, align: 'right' }).setOrigin(1, 0).setScrollFactor(0).setDepth(10);
+      this.createPowerUpMeter();
+      this.createHeartDisplay();
+      if (this.playback) {
+          this.replayText = this.add.text(width / 2, 16, 'REPLAY', { fontSize: '20px', fill: '#e74c3c', fontStyle: 'bold', stroke: '#fff', strokeThickness: 3 })
+              .setOrigin(0.5, 0).setScrollFactor(0).setDepth(10);
+          this.tweens.add({ targets: this.replayText, alpha: 0.3, duration: 600, yoyo: true, repeat: -1 });
+      }
+      if (GameModes[this.mode] && GameModes[this.mode].ghost) {
+          this.createGhost();
+      }
+
+      // --- Start Power-Up Pickup and Audit Bot Timers ---
+      this.startSpawning();
+
+      // Audit bot warning, shown by warnAuditBot()
+      this.auditBotWarning = this.add.text(width - 24, 0, '!', {
+          fontSize: '36px', fill: '#e74c3c', fontStyle: 'bold', stroke: '#fff', strokeThickness: 4
+      })
+      .setOrigin(0.5)
+      .setScrollFactor(0)
+      .setDepth(10)
+      .setVisible(false);
+
+      // Setup combo text
+      this.comboText = this.add.text(
+          width / 2,
+          height * 0.3,
+          '',
+          { fontSize: '32px', fill: '#f8b200', fontStyle: 'bold', stroke: '#000', strokeThickness: 4 }
+      )
+      .setOrigin(0.5)
+      .setScrollFactor(0)
+      .setDepth(10)
+      .setAlpha(0);
+
+      // Create multiplier text
+      this.multiplierText = this.add.text(
+          width - 16,
+          60,
+          '',
+          { fontSize: '20px', fill: '#f8d700', fontStyle: 'bold', stroke: '#000', strokeThickness: 2 }
+      )
+      .setOrigin(1, 0)
+      .setScrollFactor(0)
+      .setDepth(10);
+
+      // Setup environmental particles
+      if (this.textures.exists(this.particleTextureKey)) {
+          // Subtle background particles
+          this.environmentEmitters.push(
+              this.add.particles(0, 0, this.particleTextureKey, {
+                  x: { min: 0, max: width },
+                  y: { min: 0, max: height * 0.7 },
+                  scale: { start: 0.2, end: 0 },
+                  alpha: { start: 0.2, end: 0 },
+                  speed: 20,
+                  angle: { min: 180, max: 360 },
+                  frequency: 400,
+                  lifespan: 5000,
+                  blendMode: Phaser.BlendModes.ADD,
+                  tint: 0xffffff
+              }).setDepth(-1)
+          );
+      }
+
+      this.cameras.main.fadeIn(Constants.FADE_DURATION, 0, 0, 0);
+  }
+
+  /**
+   * Creates the on-screen mute toggle in the bottom-right corner.
+   */
+  createMuteIcon() {
+      const { width, height } = this.scale;
+
+      // Draw speaker icons for both states if they don't exist yet
+      ['icon_sound_on', 'icon_sound_off'].forEach(key => {
+          if (this.textures.exists(key)) return;
+
+          const gfx = this.make.graphics({ x: 0, y: 0 }, false);
+          gfx.fillStyle(0x1a1a1a, 1);
+          gfx.fillRect(2, 9, 7, 10);
+          gfx.fillTriangle(8, 9, 16, 2, 16, 26);
+          gfx.fillTriangle(8, 19, 16, 26, 8, 9);
+          gfx.lineStyle(2, 0x1a1a1a, 1);
+          if (key === 'icon_sound_on') {
+              // Sound waves
+              gfx.beginPath();
+              gfx.arc(16, 14, 5, -0.9, 0.9);
+              gfx.strokePath();
+              gfx.beginPath();
+              gfx.arc(16, 14, 10, -0.9, 0.9);
+              gfx.strokePath();
+          } else {
+              // Cross
+              gfx.beginPath();
+              gfx.moveTo(19, 9);
+              gfx.lineTo(27, 19);
+              gfx.moveTo(27, 9);
+              gfx.lineTo(19, 19);
+              gfx.strokePath();
+          }
+          gfx.generateTexture(key, 28, 28);
+          gfx.destroy();
+      });
+
+      this.muteIcon = this.add.image(width - 24, height - 22, this.audio.settings.muted ? 'icon_sound_off' : 'icon_sound_on')
+          .setScrollFactor(0)
+          .setDepth(10)
+          .setAlpha(0.8)
+          .setInteractive({ useHandCursor: true });
+
+      this.muteIcon.on('pointerdown', (pointer, localX, localY, event) => {
+          event.stopPropagation(); // Don't let the tap also trigger a jump or restart
+          this.toggleMute();
+      });
+  }
+
+  /**
+   * Creates the on-screen pause button next to the mute icon.
+   */
+  createPauseButton() {
+      const { width, height } = this.scale;
+
+      if (!this.textures.exists('icon_pause')) {
+          const gfx = this.make.graphics({ x: 0, y: 0 }, false);
+          gfx.fillStyle(0x1a1a1a, 1);
+          gfx.fillRect(6, 4, 6, 20);
+          gfx.fillRect(16, 4, 6, 20);
+          gfx.generateTexture('icon_pause', 28, 28);
+          gfx.destroy();
+      }
+
+      this.pauseButton = this.add.image(width - 60, height - 22, 'icon_pause')
+          .setScrollFactor(0)
+          .setDepth(10)
+          .setAlpha(0.8)
+          .setInteractive({ useHandCursor: true });
+
+      this.pauseButton.on('pointerdown', (pointer, localX, localY, event) => {
+          event.stopPropagation(); // Don't let the tap also trigger a jump
+          this.pauseGame();
+      });
+  }
+
+  /**
+   * Draws a round pickup icon for each power-up type if they don't exist yet.
+   */
+  createPowerUpPickupTextures() {
+      const size = 32;
+      const center = size / 2;
+      const colors = { speed: 0xf8b200, shield: 0x00ccff, magnet: 0xff3366, multiplier: 0x2ecc71 };
+
+      this.powerUpTypes.forEach(type => {
+          const key = `powerup_${type}`;
+          if (this.textures.exists(key)) return;
+
+          const gfx = this.make.graphics({ x: 0, y: 0 }, false);
+          gfx.fillStyle(colors[type], 1);
+          gfx.fillCircle(center, center, center - 1);
+          gfx.lineStyle(2, 0xffffff, 1);
+          gfx.strokeCircle(center, center, center - 2);
+
+          gfx.fillStyle(0xffffff, 1);
+          if (type === 'speed') {
+              // Lightning bolt
+              gfx.fillPoints([{ x: 18, y: 5 }, { x: 9, y: 18 }, { x: 15, y: 18 }, { x: 13, y: 27 }, { x: 23, y: 13 }, { x: 17, y: 13 }], true);
+          } else if (type === 'shield') {
+              gfx.fillPoints([{ x: 9, y: 8 }, { x: 16, y: 5 }, { x: 23, y: 8 }, { x: 22, y: 18 }, { x: 16, y: 27 }, { x: 10, y: 18 }], true);
+          } else if (type === 'magnet') {
+              // Horseshoe magnet
+              gfx.lineStyle(5, 0xffffff, 1);
+              gfx.beginPath();
+              gfx.arc(center, 15, 7, 0, Math.PI, false);
+              gfx.strokePath();
+              gfx.fillRect(6, 8, 5, 7);
+              gfx.fillRect(21, 8, 5, 7);
+          } else if (type === 'multiplier') {
+              // Two stacked coins
+              gfx.fillCircle(12, 19, 6);
+              gfx.fillCircle(20, 13, 6);
+              gfx.lineStyle(2, colors.multiplier, 1);
+              gfx.strokeCircle(20, 13, 6);
+          }
+
+          gfx.generateTexture(key, size, size);
+          gfx.destroy();
+      });
+  }
+
+  /**
+   * Creates the power-up meter under the best score.
+   */
+  createPowerUpMeter() {
+      const meterWidth = 120;
+      this.add.rectangle(16, 92, meterWidth, 8, 0x1a1a1a, 0.25).setOrigin(0, 0).setScrollFactor(0).setDepth(10);
+      this.powerUpMeterFill = this.add.rectangle(16, 92, meterWidth, 8, 0xf8b200, 1).setOrigin(0, 0).setScrollFactor(0).setDepth(10);
+      this.updatePowerUpMeter();
+  }
+
+  /**
+   * Creates the row of hearts under the power-up meter. Runs with a single life don't show it.
+   */
+  createHeartDisplay() {
+      if (!this.textures.exists('icon_heart')) {
+          const gfx = this.make.graphics({ x: 0, y: 0 }, false);
+          gfx.fillStyle(0xe74c3c, 1);
+          gfx.fillCircle(6, 6, 6);
+          gfx.fillCircle(16, 6, 6);
+          gfx.fillTriangle(0, 8, 22, 8, 11, 20);
+          gfx.generateTexture('icon_heart', 22, 20);
+          gfx.destroy();
+      }
+
+      this.hearts = [];
+      if (Constants.LIVES <= 1) return;
+      for (let i = 0; i < Constants.LIVES; i++) {
+          this.hearts.push(this.add.image(16 + i * 26, 108, 'icon_heart').setOrigin(0, 0).setScrollFactor(0).setDepth(10));
+      }
+      this.updateHearts();
+  }
+
+  /**
+   * Fills in a heart for each life left and greys out the rest.
+   */
+  updateHearts() {
+      this.hearts.forEach((heart, index) => heart.setAlpha(index < this.lives ? 1 : 0.25));
+  }
+
+  /**
+   * Sets the power-up meter fill to the coins collected since the last pickup.
+   */
+  updatePowerUpMeter() {
+      if (!this.powerUpMeterFill) return;
+
+      const fill = this.coinsCollectedForPowerUp / Constants.COINS_FOR_POWER_UP;
+      this.powerUpMeterFill.setScale(fill, 1);
+      this.powerUpMeterFill.setFillStyle(fill >= 1 ? 0xe67e22 : 0xf8b200); // Deeper orange once full
+  }
+
+  /**
+   * Pauses the run and opens the pause menu. Pausing the scene freezes physics,
+   * tweens, timers and particle emitters together.
+   */
+  pauseGame() {
+      if (this.gameOver || !this.scene.isActive()) return;
+
+      this.audio.pauseMusic();
+      this.scene.launch('PauseScene', { audio: this.audio });
+      this.scene.pause();
+  }
+
+  /**
+   * Picks up where the run left off once the pause menu's countdown ends.
+   */
+  onResume() {
+      this.audio.resumeMusic();
+      // Settings may have been changed from the pause menu
+      this.muteIcon.setTexture(this.audio.settings.muted ? 'icon_sound_off' : 'icon_sound_on');
+  }
+
+  /**
+   * Toggles all game audio on or off (M key or the mute icon).
+   */
+  toggleMute() {
+      const muted = this.audio.toggleMute();
+      if (this.muteIcon) {
+          this.muteIcon.setTexture(muted ? 'icon_sound_off' : 'icon_sound_on');
+      }
+  }
+
+  /**
+   * The main game loop, called every frame.
+   */
+  update(time, delta) {
+      if (this.gameOver) {
+          return;
+      }
+
+      // Safety check to prevent freezing if player animations aren't properly set up
+      if (!this.player || !this.player.body) {
+          console.warn("Player not properly initialized, attempting recovery");
+          return;
+      }
+
+      const deltaSeconds = delta / 1000;
+      const currentScrollSpeed = this.getCurrentScrollSpeed();
+
+      // --- Background Scrolling ---
+      if (this.background) {
+          this.background.tilePositionX += currentScrollSpeed * deltaSeconds;
+      }
+
+      this.distanceTravelled += currentScrollSpeed * deltaSeconds;
+      this.updateDistanceScore();
+
+      // --- Player Input & Jump & Effects ---
+      this.frame++;
+      const actions = this.readFrameActions();
+      if (actions.includes('restart')) {
+          this.endGame('restarted'); // Only replays get here: the recorded run was restarted at this point
+          return;
+      }
+      const isJumpKeyDown = actions.includes('jump') || actions.includes('doubleJump');
+      const isDownKeyDown = actions.includes('fastFall') || actions.includes('slide');
+      const touchingGround = this.player.body.touching.down;
+
+      // Down is recorded on press and release, since a slide lasts as long as it's held
+      if (isDownKeyDown) {
+          this.recordAction(touchingGround ? 'slide' : 'fastFall');
+          this.downHeld = true;
+      }
+      if (actions.includes('slideEnd')) {
+          this.recordAction('slideEnd');
+          this.downHeld = false;
+      }
+
+      // --- Landing Logic ---
+      // Platforms set touching.down too, so everything below treats them as ground
+      if (touchingGround) {
+          if (this.wasInAir) { // Just landed
+              this.triggerSquashTween();
+              this.wasInAir = false;
+          }
+          this.framesInAir = 0;
+          this.hasDoubleJumped = false;
+          this.jumpDownActive = false;
+          this.coyoteTimeCounter = this.coyoteTimeDuration;
+
+          // Check for buffered jump; if the button was already let go, it's only a hop
+          if (this.jumpBufferCounter > 0) {
+              this.player.setVelocityY(Constants.JUMP_VELOCITY * (this.jumpHeld ? 1 : Constants.JUMP_RELEASE_MULTIPLIER));
+              this.coyoteTimeCounter = 0; // Consume coyote time as well, as we're jumping
+              this.jumpBufferCounter = 0; // Consume buffer
+              this.jumpEmitter.explode(8, this.player.x, this.player.y + this.player.displayHeight / 2);
+              this.audio.playSfx('jump');
+              this.triggerStretchTween(); // Stretch on buffered jump
+          }
+      } else { // Player is in the air
+          // The landing squash can lift the player's feet for a frame or two; that isn't a jump
+          this.framesInAir++;
+          this.wasInAir = this.framesInAir > 3;
+          this.coyoteTimeCounter -= delta;
+      }
+
+      // --- Player Jump Logic ---
+      if (isJumpKeyDown) {
+          this.recordAction(touchingGround || this.coyoteTimeCounter > 0 ? 'jump' : 'doubleJump');
+          this.jumpHeld = true;
+
+          // Check for initial jump (Ground OR Coyote Time)
+          if (touchingGround || this.coyoteTimeCounter > 0) {
+              this.player.setVelocityY(Constants.JUMP_VELOCITY);
+              this.coyoteTimeCounter = 0; // Consume jump/coyote time
+              this.jumpBufferCounter = 0; // Clear buffer if jump is successful
+              this.jumpEmitter.explode(8, this.player.x, this.player.y + this.player.displayHeight / 2);
+              this.audio.playSfx('jump');
+              this.triggerStretchTween(); // Stretch on initial jump
+          }
+          // Check for double jump (Only if in air and haven't double jumped)
+          else if (!touchingGround && !this.hasDoubleJumped) {
+              this.player.setVelocityY(Constants.DOUBLE_JUMP_VELOCITY);
+              this.hasDoubleJumped = true;
+              this.coyoteTimeCounter = 0; // Consume jump
+              this.jumpBufferCounter = 0; // Clear buffer
+              this.doubleJumpEmitter.explode(12, this.player.x, this.player.y);
+              this.audio.playSfx('doublejump');
+              this.triggerStretchTween(); // Stretch on double jump
+          }
+          // If in air and cannot double jump, buffer the jump
+          else if (!touchingGround) {
+              this.jumpBufferCounter = this.jumpBufferDuration;
+          }
+      }
+
+      // --- Variable Jump Height ---
+      // Letting go while still rising cuts the climb short, so a tap is a hop and a hold is a full jump
+      if (actions.includes('jumpRelease')) {
+          this.recordAction('jumpRelease');
+          this.jumpHeld = false;
+          if (this.player.body.velocity.y < 0 && !this.rescuing) {
+              this.player.setVelocityY(this.player.body.velocity.y * Constants.JUMP_RELEASE_MULTIPLIER);
+          }
+      }
+
+      // Decrement jump buffer counter
+      if (this.jumpBufferCounter > 0) {
+          this.jumpBufferCounter -= delta;
+      }
+
+      // Jump down (separate logic for down key)
+      else if (isDownKeyDown && !touchingGround) {
+          this.player.setVelocityY(Constants.FAST_FALL_VELOCITY); // Fast downward movement
+          this.jumpDownActive = true;
+      }
+
+      // --- Sliding ---
+      // A jump this frame has already lifted off, so it ends the slide
+      this.setSliding(this.downHeld && touchingGround && this.player.body.velocity.y >= 0);
+
+      // --- Player Animation Control ---
+      if (this.anims.exists(this.playerRunAnimKey)) {
+          try {
+              if (this.sliding) {
+                  this.player.play(this.playerSlideAnimKey, true);
+              } else if (!touchingGround) {
+                  if (this.jumpDownActive) {
+                      this.player.play(this.playerJumpDownAnimKey, true);
+                  } else if (this.hasDoubleJumped) {
+                      this.player.play(this.playerDoubleJumpAnimKey, true);
+                  } else {
+                      this.player.play(this.playerJumpAnimKey, true);
+                  }
+              } else {
+                  this.player.play(this.playerRunAnimKey, true);
+              }
+          } catch (error) {
+              console.error("Animation error:", error);
+
+              // Attempt recovery by forcing a frame if possible
+              try {
+                  this.player.stop();
+                  if (this.player.setFrame) {
+                      this.player.setFrame(0);
+                  }
+              } catch (e) {
+                  console.warn("Failed animation recovery:", e);
+              }
+          }
+      }
+
+      // --- Player Vertical Bounds Check ---
+      if (this.player.y < -this.player.height) {
+          this.player.y = -this.player.height;
+          this.player.setVelocityY(0);
+      }
+      if (this.player.y > this.scale.height + this.player.displayHeight) {
+          // Pits are the only way down. Falling again while still blinking costs nothing
+          if (this.invulnerable || this.loseLife()) {
+              this.audio.playSfx('hit');
+              this.rescueFromPit();
+          } else {
+              this.endGame('pit');
+              return;
+          }
+      }
+      if (this.rescuing && this.player.body.velocity.y >= 0) {
+          // Above the ground again by the top of the spring, so it can be landed on
+          this.rescuing = false;
+          this.player.body.checkCollision.up = true;
+      }
+      if (this.blinkUntilLanding && !this.rescuing && this.player.body.touching.down) {
+          // The spring outlasts a blink, so it only starts once the player has landed
+          this.blinkUntilLanding = false;
+          this.invulnerableTimer = this.time.delayedCall(Constants.INVULNERABILITY_DURATION, this.endInvulnerability, [], this);
+      }
+
+      // --- Move Collectibles and Enemies ---
+      const displacement = -currentScrollSpeed * deltaSeconds;
+      this.moveGroupChildren(this.coins, displacement);
+      this.moveGroupChildren(this.powerUpPickups, displacement);
+      this.moveGroupChildren(this.lifePickups, displacement);
+      this.moveGroupChildren(this.enemies, displacement);
+      this.moveGroupChildren(this.flyingEnemies, displacement); // Move flying enemies too
+      this.moveGroupChildren(this.redTape, displacement);
+      this.moveAuditBots(displacement, deltaSeconds);
+      this.moveGroupChildren(this.groundPieces, displacement);
+      this.moveGroupChildren(this.platforms, displacement);
+      this.groundEndX += displacement;
+      this.updateBossFight(displacement, deltaSeconds);
+
+      // --- Place Obstacle Chunks ---
+      this.spawnChunksAsNeeded();
+      this.extendGround();
+
+      if (this.activePowerUpType === 'magnet') {
+          this.pullCoinsTowardPlayer(deltaSeconds);
+      }
+
+      // --- Despawn Off-screen Objects ---
+      this.despawnOffscreenObjects(this.coins);
+      this.despawnOffscreenObjects(this.powerUpPickups);
+      this.despawnOffscreenObjects(this.lifePickups);
+      this.despawnOffscreenObjects(this.enemies);
+      this.despawnOffscreenObjects(this.flyingEnemies); // Despawn flying enemies
+      this.despawnOffscreenObjects(this.redTape);
+      this.despawnOffscreenObjects(this.auditBots);
+      this.despawnOffscreenObjects(this.groundPieces);
+      this.despawnOffscreenObjects(this.platforms);
+
+      // --- Increase Difficulty Over Time ---
+      // Held during a boss fight, which ends with a step up instead
+      if (!this.bossFight) {
+          this.increaseDifficulty(deltaSeconds);
+      }
+
+      // --- Update Power-Up Timer Display ---
+      this.updatePowerUpDisplay();
+
+      // --- Ghost Race ---
+      if (this.ghostRecording) {
+          this.ghostRecording.addSample(this.player.y, this.distanceTravelled);
+          this.updateGhost();
+      }
+
+      // --- Shield Sprite Update ---
+      if (this.activePowerUpType === 'shield' && this.shieldSprite && this.shieldSprite.active) {
+          this.shieldSprite.setPosition(this.player.x, this.player.y);
+          // Optional: add a little visual bob or rotation to the shield
+          // this.shieldSprite.angle += 1;
+      }
+
+      // --- Magnet & Multiplier Visuals Follow the Player ---
+      if (this.activePowerUpType === 'magnet' && this.magnetRing) {
+          this.magnetRing.setPosition(this.player.x, this.player.y);
+      }
+      if (this.activePowerUpType === 'multiplier' && this.multiplierBadge) {
+          this.multiplierBadge.setPosition(this.player.x, this.player.getTopCenter().y - 12);
+      }
+  }
+
+  // --- Helper Methods ---
+
+  /**
+   * Moves all active children of a group horizontally.
+   */
+  moveGroupChildren(group, displacement) {
+      group.children.each(child => {
+          if (child.active) {
+              child.x += displacement;
+          }
+      });
+  }
+
+  /**
+   * Flies audit bots in with the course and a little faster, drifting toward the player's
+   * height until they pass the player.
+   * @param {number} displacement - Horizontal scroll this frame, in pixels
+   * @param {number} deltaSeconds - Frame time in seconds
+   */
+  moveAuditBots(displacement, deltaSeconds) {
+      const targetY = this.getAuditBotY(this.player.y);
+      const maxStep = Constants.AUDIT_BOT_HOMING_SPEED * deltaSeconds;
+
+      this.auditBots.children.each(bot => {
+          if (!bot.active) return;
+
+          bot.x += displacement - Constants.AUDIT_BOT_SPEED * deltaSeconds;
+          if (bot.x > this.player.x) {
+              bot.y += Phaser.Math.Clamp(targetY - bot.y, -maxStep, maxStep);
+          }
+      });
+
+      // The warning marks where the next bot will come in
+      if (this.auditBotWarning.visible) {
+          this.auditBotWarning.y = targetY;
+      }
+  }
+
+  /**
+   * Clamps a height to where audit bots can fly: below the HUD and high enough to slide under.
+   * @param {number} y - Screen y, usually the player's
+   * @returns {number} - Screen y for an audit bot's centre
+   */
+  getAuditBotY(y) {
+      return Phaser.Math.Clamp(y, this.scale.height * 0.2, this.groundY - Constants.AUDIT_BOT_MIN_HEIGHT);
+  }
+
+  /**
+   * Pulls coins within the magnet radius toward the player.
+   * @param {number} deltaSeconds - Frame time in seconds
+   */
+  pullCoinsTowardPlayer(deltaSeconds) {
+      const maxStep = Constants.MAGNET_PULL_SPEED * deltaSeconds;
+
+      this.coins.children.each(coin => {
+          if (!coin.active) return;
+
+          const distance = Phaser.Math.Distance.Between(coin.x, coin.y, this.player.x, this.player.y);
+          if (distance > Constants.MAGNET_RADIUS || distance === 0) return;
+
+          // The bob tween would fight the pull over the coin's y position
+          const tween = coin.getData('bobTween');
+          if (tween) {
+              tween.stop();
+              coin.setData('bobTween', null);
+          }
+
+          const step = Math.min(maxStep, distance);
+          coin.x += (this.player.x - coin.x) / distance * step;
+          coin.y += (this.player.y - coin.y) / distance * step;
+      });
+  }
+
+  /**
+   * Deactivates and hides group children that move off the left edge of the screen.
+   */
+  despawnOffscreenObjects(group) {
+      group.children.each(child => {
+          if (child.active && child.getBounds().right < 0) {
+              // Stop any tweens associated with the object before killing
+              const tween = child.getData('bobTween');
+              if (tween) {
+                  tween.stop();
+                  child.setData('bobTween', null); // Clear data
+              }
+
+              const hoverTween = child.getData('hoverTween');
+              if (hoverTween) {
+                  hoverTween.stop();
+                  child.setData('hoverTween', null); // Clear data
+              }
+
+              const patrolTween = child.getData('patrolTween');
+              if (patrolTween) {
+                  patrolTween.stop();
+                  child.setData('patrolTween', null);
+              }
+
+              const stompTween = child.getData('stompTween');
+              if (stompTween) {
+                  stompTween.stop();
+                  child.setData('stompTween', null);
+              }
+
+              // Properly disable physics body
+              if (child.body) {
+                  child.body.enable = false;
+                  // Reset velocity
+                  child.body.velocity.x = 0;
+                  child.body.velocity.y = 0;
+              }
+
+              // Deactivate the object
+              group.killAndHide(child);
+          }
+      });
+  }
+
+  /**
+   * Gradually increases scroll speed and decreases spawn delay over time. Together they pick
+   * the chunk tier and the open ground left between chunks.
+   */
+  increaseDifficulty(deltaSeconds) {
+      this.scrollSpeed = Math.min(
+          this.scrollSpeed + this.speedIncreaseFactor * deltaSeconds,
+          this.maxScrollSpeed
+      );
+      this.spawnDelay = Math.max(
+          this.spawnDelay - this.spawnDecreaseFactor * deltaSeconds,
+          this.minSpawnDelay
+      );
+  }
+
+  /**
+   * Starts the End of Financial Year fight at each score milestone, pausing the normal spawning,
+   * and runs it until the tax office falls. Editor playtests never get one.
+   * @param {number} displacement - Horizontal scroll this frame, in pixels
+   * @param {number} deltaSeconds - Frame time in seconds
+   */
+  updateBossFight(displacement, deltaSeconds) {
+      if (!this.bossFight) {
+          if (this.playtest || this.score < this.nextBossScore) return;
+          this.bossFight = new BossFight(this);
+          this.setSpawnTimersPaused(true);
+      }
+      this.bossFight.update(displacement, deltaSeconds);
+  }
+
+  /**
+   * Called by the boss fight once the tax office has fallen. Lays out the reward, then resumes
+   * normal spawning a step harder than before the fight.
+   */
+  finishBossFight() {
+      const { width } = this.scale;
+      this.bossFight.destroy();
+      this.bossFight = null;
+      // Milestones passed during the fight don't queue up another one straight away
+      this.nextBossScore = (Math.floor(this.score / Constants.BOSS_SCORE_INTERVAL) + 1) * Constants.BOSS_SCORE_INTERVAL;
+
+      // An arc of coins and a power-up to collect on the way out
+      const coinSpacing = 40;
+      const coinCount = Constants.BOSS_REWARD_COINS;
+      for (let i = 0; i < coinCount; i++) {
+          const arc = Math.sin(i / (coinCount - 1) * Math.PI);
+          this.spawnCoin(width + coinSpacing * (i + 1), this.groundY - 60 - arc * 80);
+      }
+      this.spawnPowerUpPickup(this.rng.pick(this.powerUpTypes));
+
+      this.scrollSpeed = Math.min(this.scrollSpeed + Constants.BOSS_VICTORY_SPEED_BOOST, this.maxScrollSpeed);
+      this.spawnDelay = Math.max(this.spawnDelay - Constants.BOSS_VICTORY_SPAWN_DELAY_CUT, this.minSpawnDelay);
+
+      // Chunks start again behind the reward
+      this.nextChunkDistance = this.distanceTravelled + coinSpacing * coinCount;
+      this.setSpawnTimersPaused(false);
+  }
+
+  /**
+   * Pauses or resumes the timers started by startSpawning().
+   * @param {boolean} paused - True to pause
+   */
+  setSpawnTimersPaused(paused) {
+      if (this.powerUpSpawnTimer) this.powerUpSpawnTimer.paused = paused;
+      if (this.auditBotSpawnTimer) this.auditBotSpawnTimer.paused = paused;
+      if (this.lifePickupSpawnTimer) this.lifePickupSpawnTimer.paused = paused;
+  }
+
+  /**
+   * Places the next chunk, with open ground before it, once the previous one has scrolled in.
+   * Spawning by distance rather than by timer keeps chunks from overlapping at any speed, and the
+   * chunk spawner's JumpValidator spaces out or swaps any layout that can't be cleared.
+   * The next chunk is planned a slice per frame while the last one scrolls in, so the validator's
+   * jump search doesn't stall a frame. No chunks are placed during a boss fight.
+   */
+  spawnChunksAsNeeded() {
+      if (this.gameOver || this.bossFight) return;
+
+      while (this.distanceTravelled >= this.nextChunkDistance) {
+          let placement;
+          if (this.isSegmentNext()) {
+              placement = this.chunkSpawner.placeAsAuthored(this.segment, this.getChunkGap());
+              this.segmentPlaced = true;
+          } else {
+              // Usually planned over the last few frames already; whatever is left is finished now
+              if (!this.chunkSpawner.plan) this.planNextChunk();
+              placement = this.chunkSpawner.takePlannedPlacement();
+          }
+          const { chunk, gap: placedGap } = placement;
+
+          // Scrolling overshoots the trigger distance a little each frame, so start the chunk that much closer
+          const overshoot = this.distanceTravelled - this.nextChunkDistance;
+          const length = this.spawnChunk(chunk, this.scale.width + Constants.CHUNK_SPAWN_MARGIN + placedGap - overshoot);
+
+          this.nextChunkDistance += placedGap + length;
+      }
+
+      if (!this.isSegmentNext()) {
+          if (!this.chunkSpawner.plan) this.planNextChunk();
+          this.chunkSpawner.keepPlanning(Constants.CHUNK_PLANNING_STATES);
+      }
+  }
+
+  /**
+   * Starts planning the next chunk for the current difficulty, see spawnChunksAsNeeded().
+   */
+  planNextChunk() {
+      const tier = this.chunkSpawner.getTierForProgress(this.getDifficultyProgress());
+      this.chunkSpawner.startPlanning(tier, this.rng, this.scrollSpeed, this.getChunkGap());
+  }
+
+  /**
+   * Open ground to leave before the next chunk: the ground covered in one spawn delay.
+   * @returns {number} - Pixels
+   */
+  getChunkGap() {
+      return this.scrollSpeed * this.spawnDelay / 1000;
+  }
+
+  /**
+   * Whether the next chunk is the run's segment rather than one the chunk spawner picks.
+   * @returns {boolean}
+   */
+  isSegmentNext() {
+      return Boolean(this.segment) && (this.playtest || !this.segmentPlaced);
+  }
+
+  /**
+   * Reads the segment this run starts with: passed in by the editor or a replay, or loaded from `?segment=`.
+   * @returns {object|null} - The segment as a chunk, or null for a normal run
+   */
+  loadSegment() {
+      if (!this.segmentData && !this.playback && getUrlParam('segment')) {
+          this.segmentData = this.cache.json.get('segment') || null;
+          if (!this.segmentData) console.warn(`Could not load segment ${getUrlParam('segment')}, playing without it`);
+      }
+      if (!this.segmentData) return null;
+
+      try {
+          return parseSegmentFile(this.segmentData);
+      } catch (error) {
+          console.warn('Ignoring invalid segment:', error);
+          this.segmentData = null;
+          return null;
+      }
+  }
+
+  /**
+   * Places every entry of a chunk relative to its start. Coin formations are laid out for the
+   * current scroll speed, speed power-up included, and a jump arc that runs past the chunk's end makes the chunk longer,
+   * so the next one doesn't start under it.
+   * @param {{length: number, entries: object[]}} chunk - Chunk from the ChunkSpawner
+   * @param {number} startX - Screen x of the chunk's start
+   * @returns {number} - Length the chunk takes up, in pixels
+   */
+  spawnChunk(chunk, startX) {
+      let length = chunk.length;
+      chunk.entries.forEach(entry => {
+          const x = startX + entry.x;
+          const y = this.groundY - entry.y;
+          switch (entry.type) {
+              case 'coin':
+                  layOutCoins(entry, this.getCurrentScrollSpeed()).forEach(coin => {
+                      this.spawnCoin(startX + coin.x, this.groundY - coin.y, this.rollCurrency());
+                      length = Math.max(length, coin.x);
+                  });
+                  break;
+              case 'enemy':
+                  this.spawnGroundEnemy(x, y, entry.patrol);
+                  break;
+              case 'enemy_flying':
+                  this.spawnFlyingEnemy(x, y);
+                  break;
+              case 'pit_lava':
+                  this.spawnPit(x, entry.width);
+                  break;
+              case 'platform':
+                  this.spawnPlatform(x, y, entry.width);
+                  break;
+              case 'red_tape':
+                  this.spawnRedTape(x);
+                  break;
+          }
+      });
+      return length;
+  }
+
+  /**
+   * Sets up racing the saved ghost: loads it, adds its sprite and the gap readout,
+   * and starts sampling this run in case it becomes the new ghost.
+   */
+  createGhost() {
+      this.ghostRecording = new GhostRun(this.seed);
+      this.ghostRun = GhostRun.load(this.seed);
+
+      const hudY = this.playback ? 44 : 16; // Below the REPLAY tag when there is one
+      this.ghostText = this.add.text(this.scale.width / 2, hudY, '', {
+          fontSize: '18px', fill: '#1a1a1a', fontStyle: 'bold', stroke: '#fff', strokeThickness: 3
+      }).setOrigin(0.5, 0).setScrollFactor(0).setDepth(10);
+
+      if (!this.ghostRun) {
+          this.ghostText.setText('No ghost yet - set the pace!');
+          return;
+      }
+
+      this.ghostSprite = this.add.sprite(this.player.x, this.player.y, this.player.texture.key)
+          .setScale(this.player.scaleX, this.player.scaleY)
+          .setAlpha(0.35)
+          .setTint(0x9bd4ff)
+          .setDepth(this.player.depth - 0.2); // Behind the live player
+      if (this.anims.exists(this.playerRunAnimKey)) {
+          this.ghostSprite.play(this.playerRunAnimKey);
+      }
+  }
+
+  /**
+   * Moves the ghost to its recorded position for this frame and updates the gap readout.
+   * The ghost is drawn ahead of or behind the player by the distance between the two runs.
+   */
+  updateGhost() {
+      if (!this.ghostRun) return;
+
+      const sample = this.ghostRun.getSample(this.frame - 1); // Samples start on frame 1
+      const gapMetres = sample
+          ? Math.round((this.distanceTravelled - sample.distance) / Constants.PIXELS_PER_METER)
+          : Math.round((this.distanceTravelled - this.ghostRun.finalDistance) / Constants.PIXELS_PER_METER);
+
+      if (!sample) {
+          // The ghost's run is over; every metre from here is a new best
+          if (this.ghostSprite.visible) this.ghostSprite.setVisible(false);
+          this.ghostText.setText(`Ghost beaten! +${gapMetres} m`).setColor('#2e7d32');
+          return;
+      }
+
+      const offsetX = Phaser.Math.Clamp(sample.distance - this.distanceTravelled, -this.player.x, this.scale.width - this.player.x);
+      this.ghostSprite.setPosition(this.player.x + offsetX, sample.y);
+
+      if (gapMetres >= 0) {
+          this.ghostText.setText(`Ghost: +${gapMetres} m ahead`).setColor('#2e7d32');
+      } else {
+          this.ghostText.setText(`Ghost: ${-gapMetres} m behind`).setColor('#c0392b');
+      }
+  }
+
+  /**
+   * Keeps this run as the new ghost if it went further than the saved one.
+   * Replays and abandoned runs never replace the ghost.
+   */
+  saveGhostIfBest() {
+      // A custom segment changes the course, so the run can't race the saved ghost fairly
+      if (!this.ghostRecording || this.playback || this.segment || this.causeOfDeath === 'restarted') return;
+
+      if (!this.ghostRun || this.ghostRecording.finalDistance > this.ghostRun.finalDistance) {
+          this.ghostRecording.save();
+      }
+  }
+
+  /**
+   * Handles jump input from touch or mouse click. Pointer events arrive between simulation
+   * frames, so the jump is queued and carried out by the next update like a key press.
+   */
+  handleJumpInput() {
+      if (this.gameOver || this.playback) return; // Replays ignore live input
+      this.pointerJumpQueued = true;
+  }
+
+  /**
+   * Handles the end of a touch or mouse hold, which cuts a rising jump short. Queued like a press.
+   */
+  handleJumpRelease() {
+      if (this.gameOver || this.playback) return;
+      this.pointerReleaseQueued = true;
+  }
+
+  /**
+   * Collects this frame's actions, from the keyboard and queued taps or from the replay being played.
+   * @returns {string[]} - Replay actions for this frame
+   */
+  readFrameActions() {
+      if (this.playback) {
+          return this.playback.getActionsAt(this.frame);
+      }
+
+      const actions = [];
+      const jumpPressed = Phaser.Input.Keyboard.JustDown(this.spaceKey) || Phaser.Input.Keyboard.JustDown(this.cursors.up);
+      if (jumpPressed || this.pointerJumpQueued) {
+          actions.push('jump');
+      }
+      const jumpReleased = Phaser.Input.Keyboard.JustUp(this.spaceKey) || Phaser.Input.Keyboard.JustUp(this.cursors.up);
+      if (jumpReleased || this.pointerReleaseQueued) {
+          actions.push('jumpRelease');
+      }
+      if (Phaser.Input.Keyboard.JustDown(this.downKey) || Phaser.Input.Keyboard.JustDown(this.cursors.down)) {
+          actions.push('fastFall'); // Recorded as a slide instead if the player is on the ground
+      }
+      if (Phaser.Input.Keyboard.JustUp(this.downKey) || Phaser.Input.Keyboard.JustUp(this.cursors.down)) {
+          actions.push('slideEnd');
+      }
+      this.pointerJumpQueued = false;
+      this.pointerReleaseQueued = false;
+      return actions;
+  }
+
+  /**
+   * Adds an action on the current frame to the live run's recording.
+   * @param {string} action - One of REPLAY_ACTIONS
+   */
+  recordAction(action) {
+      if (this.recording) {
+          this.recording.record(this.frame, action);
+      }
+  }
+
+  /**
+   * Closes the live run's recording and keeps it as the last replay, for exporting from the menus.
+   */
+  finishRecording() {
+      if (!this.recording) return;
+
+      this.recording.finish({ frames: this.frame, score: this.score, rngDraws: this.rng.draws });
+      this.registry.set('lastReplay', this.recording.toJSON());
+      this.recording = null;
+  }
+
+  /**
+   * Initializes the timers for power-up pickups and audit bots. Coins, enemies and pits come in
+   * chunks, see spawnChunksAsNeeded().
+   */
+  startSpawning() {
+      if (this.powerUpSpawnTimer) this.powerUpSpawnTimer.remove(false);
+      if (this.auditBotSpawnTimer) this.auditBotSpawnTimer.remove(false);
+      if (this.lifePickupSpawnTimer) this.lifePickupSpawnTimer.remove(false);
+
+      // Roll for power-up pickups
+      this.powerUpSpawnTimer = this.time.addEvent({
+          delay: Constants.POWER_UP_SPAWN_INTERVAL,
+          callback: this.rollPowerUpPickup,
+          callbackScope: this,
+          loop: true
+      });
+
+      // Roll for audit bots
+      this.auditBotSpawnTimer = this.time.addEvent({
+          delay: Constants.AUDIT_BOT_SPAWN_INTERVAL,
+          callback: this.rollAuditBot,
+          callbackScope: this,
+          loop: true
+      });
+
+      // Roll for extra-life pickups
+      this.lifePickupSpawnTimer = this.time.addEvent({
+          delay: Constants.EXTRA_LIFE_SPAWN_INTERVAL,
+          callback: this.rollLifePickup,
+          callbackScope: this,
+          loop: true
+      });
+  }
+
+  /**
+   * The speed everything scrolls at right now, with the speed power-up's boost applied.
+   * @returns {number} - Pixels per second
+   */
+  getCurrentScrollSpeed() {
+      return this.activePowerUpType === 'speed' ? this.scrollSpeed * this.powerUpSpeedBoost : this.scrollSpeed;
+  }
+
+  /**
+   * How far the run has ramped up, from the scroll speed.
+   * @returns {number} - 0 at the starting speed, 1 at top speed
+   */
+  getDifficultyProgress() {
+      return (this.scrollSpeed - this.baseScrollSpeed) / (this.maxScrollSpeed - this.baseScrollSpeed);
+  }
+
+  /**
+   * Sets up a consistent coin hitbox.
+   */
+  setupCoinHitbox(coin) {
+      // Ensure physics body exists and is enabled FIRST
+      if (!coin.body || !coin.body.enable) {
+          this.physics.world.enable(coin);
+          if (coin.body) coin.body.enable = true; // Make sure it's really enabled
+          else {
+               console.error("Failed to enable physics body for coin");
+               return; // Cannot proceed without a body
+          }
+      }
+      // Double check just in case
+      if (coin.body && !coin.body.enable) {
+          console.warn("Coin body still not enabled before setSize/Offset");
+          coin.body.enable = true; // Try again
+      }
+
+      // Make sure target sizes are defined
+      if (!this.targetSizes || !this.targetSizes.coin) {
+          console.warn('Target size for coin not defined, using default');
+          const width = 20;
+          const height = 20;
+          coin.body.setSize(width, height);
+          // Center default hitbox
+          coin.body.setOffset((coin.width * coin.scaleX - width) / 2, (coin.height * coin.scaleY - height) / 2);
+          return;
+      }
+
+      // Use target dimensions directly for calculation
+      const targetWidth = coin.width ;
+      const targetHeight = coin.height;
+
+      // Create hitbox based on target sprite dimensions
+      const hitboxWidth = targetWidth * 0.7;
+      const hitboxHeight = targetHeight * 0.7;
+
+      // Calculate offset to center the hitbox within the target dimensions
+      const offsetX = (targetWidth - hitboxWidth) / 2;
+      const offsetY = (targetHeight - hitboxHeight) / 2;
+
+      coin.body.setSize(hitboxWidth, hitboxHeight);
+      coin.body.setOffset(offsetX, offsetY);
+
+      console.log(`Coin hitbox SET: width=${hitboxWidth}, height=${hitboxHeight}, offsetX=${offsetX}, offsetY=${offsetY}, targetWidth=${targetWidth}, targetHeight=${targetHeight}`);
+
+      // Enable physics properties
+      coin.body.allowGravity = false;
+      coin.body.immovable = true;
+  }
+
+  /**
+   * Spawns a coin, or one of the rarer currencies, with a bobbing animation.
+   * @param {number} spawnX - Screen x to spawn at
+   * @param {number} spawnY - Screen y to spawn at; the coin bobs up to 10px above it
+   * @param {?string} currencyKey - Key into Currencies, or null for a plain coin
+   */
+  spawnCoin(spawnX, spawnY, currencyKey = null) {
+      if (this.gameOver) return;
+
+      const currency = Currencies[currencyKey] || null;
+      const textureKey = currency ? currency.texture : 'coin';
+
+      // Use explicit texture key when creating the coin
+      let coin = this.coins.get(spawnX, spawnY, textureKey);
+
+      if (!coin) {
+          // If no recycled coin available, create one with explicit texture
+          coin = this.physics.add.sprite(spawnX, spawnY, textureKey);
+          coin.setTexture(textureKey); // Explicitly set texture
+          this.coins.add(coin);
+      } else {
+          // Recycled coins keep their last texture, which may have been another currency
+          coin.setTexture(textureKey);
+          // Explicitly re-enable the physics body for recycled objects
+          this.physics.world.enable(coin);
+          if(coin.body) coin.body.enable = true;
+      }
+
+      if (coin) {
+          // Reset the coin position and make it visible
+          coin.setPosition(spawnX, spawnY);
+          coin.setActive(true).setVisible(true);
+          coin.setData('currency', currency ? currency.key : null);
+
+          // Scale the coin to target size
+          this.scaleToTargetSize(coin, currency ? currency.key : 'coin');
+
+          // Force the game to calculate the display dimensions
+          coin.setDisplaySize(coin.width * coin.scaleX, coin.height * coin.scaleY);
+
+          // Force enable physics body
+          if (!coin.body || !coin.body.enable) {
+              this.physics.world.enable(coin);
+          }
+
+          // Setup physics body and hitbox
+          this.setupCoinHitbox(coin);
+
+          // Add bobbing tween
+          if (coin.getData('bobTween')) {
+              coin.getData('bobTween').stop();
+          }
+
+          const bobTween = this.tweens.add({
+              targets: coin,
+              y: spawnY - 10, // Bob up
+              duration: 700 + this.rng.frac() * 300, // Randomize duration slightly
+              ease: 'Sine.easeInOut',
+              yoyo: true,
+              repeat: -1
+          });
+          coin.setData('bobTween', bobTween); // Store tween reference
+      }
+  }
+
+  /**
+   * Rolls whether a chunk coin turns up as one of the rarer currencies instead. The faster the
+   * run, the better the odds, and each currency's share shifts along its weights.
+   * @returns {?string} - Key into Currencies, or null for a plain coin
+   */
+  rollCurrency() {
+      const progress = Phaser.Math.Clamp(this.getDifficultyProgress(), 0, 1);
+      const chance = Phaser.Math.Linear(Constants.CURRENCY_CHANCE_MIN, Constants.CURRENCY_CHANCE_MAX, progress);
+      if (this.rng.frac() >= chance) return null;
+
+      const currencies = Object.values(Currencies);
+      const weights = currencies.map(currency => Phaser.Math.Linear(currency.weights[0], currency.weights[1], progress));
+      let roll = this.rng.frac() * weights.reduce((sum, weight) => sum + weight, 0);
+      const index = weights.findIndex(weight => (roll -= weight) < 0);
+      return currencies[index === -1 ? currencies.length - 1 : index].key;
+  }
+
+  /**
+   * Rolls whether to spawn a power-up pickup. The fuller the meter, the better the odds.
+   */
+  rollPowerUpPickup() {
+      if (this.gameOver || this.powerUpActive) return;
+      if (this.powerUpPickups.countActive(true) > 0) return; // One pickup on screen at a time
+
+      const fill = this.coinsCollectedForPowerUp / Constants.COINS_FOR_POWER_UP;
+      const chance = Phaser.Math.Linear(Constants.POWER_UP_SPAWN_CHANCE_MIN, Constants.POWER_UP_SPAWN_CHANCE_MAX, fill);
+      if (this.rng.frac() < chance) {
+          this.spawnPowerUpPickup(this.rng.pick(this.powerUpTypes));
+      }
+  }
+
+  /**
+   * Rolls whether to send in an audit bot. The faster the run, the better the odds.
+   * Playtests leave them out so only the segment being tested is in the way.
+   */
+  rollAuditBot() {
+      if (this.gameOver || this.playtest) return;
+      if (this.auditBotWarningTimer || this.auditBots.countActive(true) > 0) return; // One bot at a time
+
+      const chance = Phaser.Math.Linear(Constants.AUDIT_BOT_SPAWN_CHANCE_MIN, Constants.AUDIT_BOT_SPAWN_CHANCE_MAX, this.getDifficultyProgress());
+      if (this.rng.frac() < chance) {
+          this.warnAuditBot();
+      }
+  }
+
+  /**
+   * Flashes the warning marker at the right edge, then sends in an audit bot where it points.
+   */
+  warnAuditBot() {
+      this.auditBotWarning.setY(this.getAuditBotY(this.player.y)).setAlpha(1).setVisible(true);
+      const flashTween = this.tweens.add({
+          targets: this.auditBotWarning,
+          alpha: 0.2,
+          duration: 125,
+          yoyo: true,
+          repeat: -1
+      });
+
+      this.auditBotWarningTimer = this.time.delayedCall(Constants.AUDIT_BOT_WARNING_DURATION, () => {
+          flashTween.stop();
+          this.auditBotWarning.setVisible(false);
+          this.auditBotWarningTimer = null;
+          this.spawnAuditBot(this.scale.width + this.targetSizes.auditBot.width, this.auditBotWarning.y);
+      });
+  }
+
+  /**
+   * Spawns an audit bot, reusing a pooled one if possible. moveAuditBots() steers it.
+   * @param {number} spawnX - Screen x to spawn at
+   * @param {number} spawnY - Screen y to spawn at
+   */
+  spawnAuditBot(spawnX, spawnY) {
+      let bot = this.auditBots.get(spawnX, spawnY, this.auditBotKey);
+      if (!bot) return; // Pool exhausted
+
+      this.physics.world.enable(bot);
+      bot.body.enable = true;
+      bot.body.reset(spawnX, spawnY);
+      bot.setTexture(this.auditBotKey);
+      bot.setPosition(spawnX, spawnY);
+      bot.setOrigin(0.5, 0.5);
+      bot.setActive(true).setVisible(true);
+      bot.setDepth(1.5);
+
+      this.scaleToTargetSize(bot, 'auditBot');
+      this.setupEnemyHitbox(bot, 'auditBot');
+  }
+
+  /**
+   * Rolls whether to spawn an extra-life pickup, only while the player is missing a heart.
+   */
+  rollLifePickup() {
+      if (this.gameOver || this.lives >= Constants.LIVES) return;
+      if (this.lifePickups.countActive(true) > 0) return; // One pickup on screen at a time
+
+      if (this.rng.frac() < Constants.EXTRA_LIFE_SPAWN_CHANCE) {
+          this.spawnLifePickup();
+      }
+  }
+
+  /**
+   * Spawns an extra-life pickup off the right edge of the screen, reusing a pooled one if possible.
+   */
+  spawnLifePickup() {
+      const { width, height } = this.scale;
+      const spawnY = this.rng.between(height * 0.35, this.groundY - 70);
+
+      const pickup = this.lifePickups.get(width + 50, spawnY, 'icon_heart');
+      if (!pickup) return; // Pool exhausted
+
+      this.physics.world.enable(pickup);
+      pickup.body.enable = true;
+      pickup.setPosition(width + 50, spawnY);
+      pickup.setScale(1.4);
+      pickup.setActive(true).setVisible(true);
+
+      if (pickup.getData('bobTween')) {
+          pickup.getData('bobTween').stop();
+      }
+      pickup.setData('bobTween', this.tweens.add({
+          targets: pickup,
+          y: spawnY - 12,
+          duration: 600,
+          ease: 'Sine.easeInOut',
+          yoyo: true,
+          repeat: -1
+      }));
+  }
+
+  /**
+   * Called when the player overlaps an extra-life pickup. Gives back a heart.
+   */
+  collectLifePickup(player, pickup) {
+      if (!pickup.active) return;
+
+      const tween = pickup.getData('bobTween');
+      if (tween) {
+          tween.stop();
+          pickup.setData('bobTween', null);
+      }
+      this.lifePickups.killAndHide(pickup);
+      pickup.body.enable = false;
+
+      this.lives = Math.min(this.lives + 1, Constants.LIVES);
+      this.updateHearts();
+      this.audio.playSfx('powerup');
+      this.flashScreen(0xff6b81, 0.3, 200);
+
+      const heart = this.hearts[this.lives - 1];
+      if (heart) {
+          this.tweens.add({ targets: heart, scale: 1.4, duration: 120, yoyo: true });
+      }
+  }
+
+  /**
+   * Spawns a power-up pickup off the right edge of the screen, reusing a pooled one if possible.
+   * @param {string} type - One of this.powerUpTypes
+   */
+  spawnPowerUpPickup(type) {
+      const { width, height } = this.scale;
+      const spawnY = this.rng.between(height * 0.35, this.groundY - 70);
+      const textureKey = `powerup_${type}`;
+
+      let pickup = this.powerUpPickups.get(width + 50, spawnY, textureKey);
+      if (!pickup) return; // Pool exhausted
+
+      this.physics.world.enable(pickup);
+      pickup.body.enable = true;
+      pickup.setTexture(textureKey);
+      pickup.setPosition(width + 50, spawnY);
+      pickup.setActive(true).setVisible(true);
+      pickup.setData('powerUpType', type);
+      pickup.body.setCircle(pickup.width / 2);
+
+      if (pickup.getData('bobTween')) {
+          pickup.getData('bobTween').stop();
+      }
+
+      const bobTween = this.tweens.add({
+          targets: pickup,
+          y: spawnY - 12,
+          duration: 600,
+          ease: 'Sine.easeInOut',
+          yoyo: true,
+          repeat: -1
+      });
+      pickup.setData('bobTween', bobTween);
+  }
+
+  /**
+   * Spawns a ground enemy (Tax Man), standing on the ground or on a platform.
+   * @param {number} spawnX - Screen x to spawn at
+   * @param {number} platformTop - Screen y of the surface it stands on, the ground by default
+   * @param {number} patrol - Pixels to walk right and back again, 0 to stand still
+   */
+  spawnGroundEnemy(spawnX, platformTop = this.groundY, patrol = 0) {
+      // Use explicit texture key
+      let enemy = this.enemies.get(spawnX, platformTop, 'enemy');
+
+      if (!enemy) {
+          // If no recycled enemy available, create one with explicit texture
+          enemy = this.physics.add.sprite(spawnX, platformTop, 'enemy');
+          enemy.setTexture('enemy'); // Explicitly set texture
+          this.enemies.add(enemy);
+      } else {
+          // Explicitly re-enable the physics body for recycled objects
+          this.physics.world.enable(enemy);
+          if(enemy.body) {
+              enemy.body.enable = true;
+              enemy.body.reset(spawnX, platformTop); // Reset physics state
+          }
+      }
+
+      if (enemy) {
+          // Reset enemy position and make it visible
+          enemy.setPosition(spawnX, platformTop);
+          enemy.setOrigin(0.5, 1);
+          enemy.setActive(true).setVisible(true).setAlpha(1); // A stomp may have faded it out
+          enemy.setDepth(1.5); // Above platform but below player
+
+          // Scale enemy to target size
+          this.scaleToTargetSize(enemy, 'enemy');
+
+          // Setup physics body and hitbox
+          this.setupEnemyHitbox(enemy, 'enemy');
+
+          this.startPatrol(enemy, patrol);
+      }
+  }
+
+  /**
+   * Walks an enemy right and back along its patrol. The tween moves an offset rather than x,
+   * since x also scrolls with the course.
+   * @param {Phaser.GameObjects.Sprite} enemy - Enemy to walk
+   * @param {number} patrol - Pixels to walk right and back again, 0 to stand still
+   */
+  startPatrol(enemy, patrol) {
+      // Recycled enemies may still have the patrol from their last spawn
+      if (enemy.getData('patrolTween')) {
+          enemy.getData('patrolTween').stop();
+          enemy.setData('patrolTween', null);
+      }
+      enemy.setFlipX(false);
+      if (!patrol) return;
+
+      const walk = { offset: 0 };
+      let walked = 0;
+      const patrolTween = this.tweens.add({
+          targets: walk,
+          offset: patrol,
+          duration: patrol / Constants.PATROL_SPEED * 1000,
+          ease: 'Sine.easeInOut',
+          yoyo: true,
+          repeat: -1,
+          onUpdate: () => {
+              const step = walk.offset - walked;
+              walked = walk.offset;
+              enemy.x += step;
+              if (step !== 0) enemy.setFlipX(step < 0); // Face the way it's walking
+          }
+      });
+      enemy.setData('patrolTween', patrolTween);
+  }
+
+  /**
+   * Spawns a flying enemy (Tax Drone). It hovers between its spawn height and 15px below.
+   * @param {number} spawnX - Screen x to spawn at
+   * @param {number} spawnY - Screen y to spawn at
+   */
+  spawnFlyingEnemy(spawnX, spawnY) {
+      // Use explicit texture key
+      let enemy = this.flyingEnemies.get(spawnX, spawnY, this.flyingEnemyKey);
+
+      if (!enemy) {
+          // If no recycled enemy available, create one with explicit texture
+          enemy = this.physics.add.sprite(spawnX, spawnY, this.flyingEnemyKey);
+          enemy.setTexture(this.flyingEnemyKey); // Explicitly set texture
+          this.flyingEnemies.add(enemy);
+      } else {
+           // Explicitly re-enable the physics body for recycled objects
+          this.physics.world.enable(enemy);
+          if(enemy.body) {
+              enemy.body.enable = true;
+              enemy.body.reset(spawnX, spawnY); // Reset physics state
+          }
+      }
+
+      if (enemy) {
+          // Reset enemy position and make it visible
+          enemy.setPosition(spawnX, spawnY);
+          enemy.setOrigin(0.5, 0.5);
+          enemy.setActive(true).setVisible(true);
+
+          // Scale enemy to target size
+          this.scaleToTargetSize(enemy, 'flyingEnemy');
+
+          // Setup physics body and hitbox
+          this.setupEnemyHitbox(enemy, 'flyingEnemy');
+
+          // Remove any existing tweens
+          if (enemy.getData('hoverTween')) {
+              enemy.getData('hoverTween').stop();
+          }
+
+          // Add subtle hovering movement
+          const hoverTween = this.tweens.add({
+              targets: enemy,
+              y: spawnY + 15,
+              duration: 1500,
+              ease: 'Sine.easeInOut',
+              yoyo: true,
+              repeat: -1
+          });
+          enemy.setData('hoverTween', hoverTween);
+      }
+  }
+
+  /**
+   * Sets up a consistent enemy hitbox based on enemy type.
+   */
+  setupEnemyHitbox(enemy, enemyType) {
+      // Ensure physics body exists and is enabled FIRST
+      if (!enemy.body || !enemy.body.enable) {
+          this.physics.world.enable(enemy);
+          if (enemy.body) enemy.body.enable = true; // Make sure it's really enabled
+          else {
+               console.error(`Failed to enable physics body for ${enemyType}`);
+               return; // Cannot proceed without a body
+          }
+      }
+      // Double check just in case
+      if (enemy.body && !enemy.body.enable) {
+          console.warn(`${enemyType} body still not enabled before setSize/Offset`);
+          enemy.body.enable = true; // Try again
+      }
+
+      // Make sure target sizes are defined
+      if (!this.targetSizes || !this.targetSizes[enemyType]) {
+          console.warn(`No target size defined for enemy type: ${enemyType}, using default`);
+          const width = 25;
+          const height = 35;
+          enemy.body.setSize(width, height);
+          // Center default hitbox
+          enemy.body.setOffset((enemy.width * enemy.scaleX - width) / 2, (enemy.height * enemy.scaleY - height) / 2);
+          return;
+      }
+
+      // Use target dimensions directly for calculation
+      const targetWidth = enemy.width;
+      const targetHeight = enemy.height;
+
+      // Create hitbox based on target sprite dimensions
+      const hitboxWidth = targetWidth * 0.7;
+      const hitboxHeight = targetHeight * 0.7;
+
+      // Calculate offset to center the hitbox within the target dimensions
+      const offsetX = (targetWidth - hitboxWidth) / 2;
+      const offsetY = (targetHeight - hitboxHeight) / 2;
+
+      enemy.body.setSize(hitboxWidth, hitboxHeight);
+      enemy.body.setOffset(offsetX, offsetY);
+
+      console.log(`${enemyType} hitbox SET: width=${hitboxWidth}, height=${hitboxHeight}, offsetX=${offsetX}, offsetY=${offsetY}, targetWidth=${targetWidth}, targetHeight=${targetHeight}`);
+
+      // Enable physics properties
+      enemy.body.allowGravity = false;
+      enemy.body.immovable = true;
+  }
+
+  /**
+   * Called when the player overlaps with a coin. Triggers effects.
+   * Rarer currencies are worth their own score and add their effect on top.
+   */
+  collectCoin(player, coin) {
+      if (!coin.active) return;
+
+      const currency = Currencies[coin.getData('currency')] || null;
+
+      // Get coin position for effects
+      const coinX = coin.x;
+      const coinY = coin.y;
+
+      // Trigger particle burst at coin location
+      this.coinEmitter.explode(15, coinX, coinY);
+
+      // Stop bobbing tween before killing
+      const tween = coin.getData('bobTween');
+      if (tween) {
+          tween.stop();
+          coin.setData('bobTween', null);
+      }
+
+      this.coins.killAndHide(coin);
+      if(coin.body) coin.body.enable = false;
+
+      this.advanceCombo(currency && currency.comboWindowBonus);
+      this.coinsCollected++;
+
+      // Coin pitch climbs a semitone per combo step so the combo can be heard
+      const comboPitchSteps = Math.min(this.comboCount - 1, 12);
+      this.audio.playSfx('coin', { volume: 0.7, detune: comboPitchSteps * 100 });
+
+      // Calculate score with multiplier
+      const baseScore = currency ? currency.score : Constants.COIN_BASE_SCORE;
+      const scoreValue = baseScore * this.scoreMultiplier;
+      this.addScore(scoreValue, coinX, coinY);
+
+      // Trigger mini-hitstop for satisfaction (very brief)
+      if (this.comboCount > 1) {
+          this.physics.pause();
+          this.time.delayedCall(30, () => {
+              this.physics.resume();
+          });
+      }
+
+      // Add small screen flash on coin collection that increases with combo
+      const flashAlpha = 0.1 + (Math.min(this.comboCount, 10) * 0.02);
+      this.flashScreen(0xf8d700, flashAlpha, 100);
+
+      const meterCharge = 1 + (currency && currency.meterCharge || 0);
+      this.coinsCollectedForPowerUp = Math.min(this.coinsCollectedForPowerUp + meterCharge, Constants.COINS_FOR_POWER_UP);
+      this.updatePowerUpMeter();
+  }
+
+  /**
+   * Counts a coin or stomp toward the combo and updates the score multiplier it's worth.
+   * Hits closer together than COMBO_TIME_WINDOW keep the combo going.
+   * @param {number} windowBonus - ms added to the window for the next hit, e.g. from a refund
+   */
+  advanceCombo(windowBonus = 0) {
+      // Check time since the last combo hit
+      const now = this.frame * FIXED_STEP_MS; // Run time rather than scene time, which keeps running through pauses
+      const comboTimeWindow = Constants.COMBO_TIME_WINDOW + (windowBonus || 0); // Window for the next hit in ms
+
+      if (now - this.lastComboHitTime < this.comboWindow) {
+          // Continue combo
+          this.comboCount++;
+
+          // Flash combo text with increasing size based on combo count
+          const comboScale = Math.min(1 + (this.comboCount * 0.05), 1.5);
+
+          this.comboText.setText(`${this.comboCount}x COMBO!`);
+          this.comboText.setAlpha(1);
+          this.comboText.setScale(comboScale);
+
+          // Tween to animate the combo text
+          this.tweens.add({
+              targets: this.comboText,
+              scale: comboScale * 1.2,
+              duration: 100,
+              ease: 'Bounce.easeOut',
+              yoyo: true,
+              onComplete: () => {
+                  this.tweens.add({
+                      targets: this.comboText,
+                      alpha: 0,
+                      delay: 400,
+                      duration: 200
+                  });
+              }
+          });
+
+          // Clear existing combo timer
+          if (this.comboTimer) {
+              this.comboTimer.remove();
+          }
+
+          // Set score multiplier based on combo (max 3x for 5+ combo)
+          if (this.comboCount >= 8) {
+              this.scoreMultiplier = 4;
+          } else if (this.comboCount >= 5) {
+              this.scoreMultiplier = 3;
+          } else if (this.comboCount >= 3) {
+              this.scoreMultiplier = 2;
+          } else {
+              this.scoreMultiplier = 1;
+          }
+      } else {
+          // Reset combo
+          this.comboCount = 1;
+          this.scoreMultiplier = 1;
+      }
+
+      // Multiplier power-up doubles whatever the combo is worth
+      if (this.activePowerUpType === 'multiplier') {
+          this.scoreMultiplier *= Constants.POWER_UP_SCORE_MULTIPLIER;
+      }
+
+      // Display multiplier if greater than 1
+      if (this.scoreMultiplier > 1) {
+          this.multiplierText.setText(`${this.scoreMultiplier}x`);
+          this.multiplierText.setAlpha(1);
+      } else {
+          this.multiplierText.setAlpha(0);
+      }
+
+      // Set combo timer to reset after window expires
+      this.comboTimer = this.time.delayedCall(comboTimeWindow, () => {
+          this.comboCount = 0;
+          this.scoreMultiplier = 1;
+          this.multiplierText.setAlpha(0);
+      });
+
+      // Update time of last combo hit
+      this.lastComboHitTime = now;
+      this.comboWindow = comboTimeWindow;
+      this.bestCombo = Math.max(this.bestCombo, this.comboCount);
+  }
+
+  /**
+   * Adds points to the score and floats them up from where they were earned.
+   * @param {number} amount - Points, with multipliers already applied
+   * @param {number} x - X position for the floating score
+   * @param {number} y - Y position for the floating score
+   */
+  addScore(amount, x, y) {
+      this.score += amount;
+      this.scoreText.setText('Score: ' + this.score);
+      this.updateHighScoreDisplay();
+      this.showFloatingScore(amount, x, y);
+  }
+
+  /**
+   * Pays out distance points for every whole metre run and updates the HUD meter.
+   * Unlike coin points these aren't multiplied or floated up, they just tick the score along.
+   */
+  updateDistanceScore() {
+      const metres = Math.floor(this.distanceTravelled / Constants.PIXELS_PER_METER);
+      const earned = metres * Constants.DISTANCE_SCORE_PER_METER - this.distanceScore;
+      if (earned <= 0) return;
+
+      this.distanceScore += earned;
+      this.score += earned;
+      this.scoreText.setText('Score: ' + this.score);
+      this.distanceText.setText(`${metres} m`);
+      this.updateHighScoreDisplay();
+  }
+
+  /**
+   * Shows floating score text at the given position
+   * @param {number} amount - Score amount to display
+   * @param {number} x - X position
+   * @param {number} y - Y position
+   */
+  showFloatingScore(amount, x, y) {
+      const color = this.scoreMultiplier > 1 ? '#f8d700' : '#ffffff';
+      const fontSize = 16 + (this.scoreMultiplier * 2); // Larger for higher multiplier
+
+      // Create text
+      const floatingText = this.add.text(
+          x,
+          y,
+          `+${amount}`,
+          { fontSize: `${fontSize}px`, fill: color, fontStyle: 'bold', stroke: '#000', strokeThickness: 2 }
+      ).setOrigin(0.5);
+
+      // Add to tracking array for cleanup
+      this.scorePopups.push(floatingText);
+
+      // Animate the text
+      this.tweens.add({
+          targets: floatingText,
+          y: y - 50,
+          alpha: 0,
+          scale: 1.5,
+          duration: 800,
+          ease: 'Cubic.easeOut',
+          onComplete: () => {
+              // Remove from tracking array
+              const index = this.scorePopups.indexOf(floatingText);
+              if (index > -1) {
+                  this.scorePopups.splice(index, 1);
+              }
+              // Destroy text object
+              floatingText.destroy();
+          }
+      });
+  }
+
+  /**
+   * Called when the player overlaps a power-up pickup. Empties the meter and starts the power-up.
+   */
+  collectPowerUpPickup(player, pickup) {
+      if (!pickup.active) return;
+
+      const tween = pickup.getData('bobTween');
+      if (tween) {
+          tween.stop();
+          pickup.setData('bobTween', null);
+      }
+
+      this.powerUpPickups.killAndHide(pickup);
+      if (pickup.body) pickup.body.enable = false;
+
+      this.coinEmitter.explode(20, pickup.x, pickup.y);
+      this.coinsCollectedForPowerUp = 0;
+      this.updatePowerUpMeter();
+
+      // A new pickup replaces whatever is running
+      if (this.powerUpActive) {
+          this.endPowerUp();
+      }
+      this.triggerPowerUp(pickup.getData('powerUpType'));
+  }
+
+  /**
+   * Activates a power-up. Starts effects.
+   * @param {string} type - One of this.powerUpTypes
+   */
+  triggerPowerUp(type) {
+      if (this.powerUpActive) return; // A power-up is already active
+
+      this.activePowerUpType = type;
+
+      this.powerUpActive = true;
+      this.powerUpsUsed++;
+
+      // Common setup
+      // Add dramatic power-up activation effects
+      this.cameras.main.shake(150, 0.005);
+
+      // Freeze frames - dramatic activation pause
+      this.physics.pause();
+      this.time.delayedCall(150, () => {
+          this.physics.resume();
+      });
+
+      // Global camera zoom effect
+      this.cameras.main.zoomTo(
+          this.cameraOriginalZoom * 1.1,
+          200,
+          'Back.easeOut',
+          true,
+          (camera, progress) => {
+              if (progress === 1) {
+                  camera.zoomTo(this.cameraOriginalZoom, 300, 'Sine.easeInOut');
+              }
+          }
+      );
+
+      // Common duration timer for all power-ups
+      this.powerUpTimer = this.time.delayedCall(this.powerUpDuration, this.endPowerUp, [], this);
+
+      if (this.activePowerUpType === 'speed') {
+          // Speed power-up effects
+          this.player.setTint(0xffff00); // Yellow tint for speed
+
+          // Power-up particle effect - more intense
+          if (!this.powerUpEmitter.active) {
+              // Enhanced configuration
+              this.powerUpEmitter.setConfig({
+                  speed: { min: 80, max: 120 },
+                  scale: { start: 0.5, end: 0 },
+                  blendMode: Phaser.BlendModes.ADD,
+                  lifespan: 400,
+                  frequency: 40, // More frequent particles
+                  tint: [0xffff00, 0xf8d700, 0xff8800], // Multiple colors for variation
+                  follow: this.player,
+                  followOffset: { x: -this.player.width * 0.5, y: 0 }
+              });
+          }
+          this.powerUpEmitter.start(); // Start particle trail
+
+          // Create shockwave effect around player
+          const shockwave = this.add.circle(this.player.x, this.player.y, 10, 0xffff00, 0.7);
+          shockwave.setDepth(3);
+          this.tweens.add({
+              targets: shockwave,
+              radius: 150,
+              alpha: 0,
+              duration: 600,
+              ease: 'Cubic.easeOut',
+              onComplete: () => {
+                  shockwave.destroy();
+              }
+          });
+
+          // Start flashing timer for speed
+          this.powerUpFlashEvent = this.time.addEvent({
+              delay: 100, // Faster flashing
+              callback: () => {
+                  if(this.player && this.player.active) {
+                      // Instead of just toggling visibility, alternate between yellow and white tint
+                      if (this.player.tintTopLeft === 0xffff00) {
+                          this.player.setTint(0xffffff);
+                      } else {
+                          this.player.setTint(0xffff00);
+                      }
+                  }
+              },
+              loop: true
+          });
+
+          // Bright screen flash with yellow
+          this.flashScreen(0xffff00, 0.6, 300);
+
+          this.audio.playSfx('powerup');
+          this.powerUpText.setText('Power Surge!');
+      } else if (this.activePowerUpType === 'shield') {
+          // Shield setup
+          if (!this.shieldSprite) {
+              this.shieldSprite = this.add.sprite(this.player.x, this.player.y, this.shieldTextureKey)
+                  .setDepth(this.player.depth - 0.1) // Slightly behind player
+                  .setAlpha(0) // Start invisible for animation
+                  .setScale(0.5); // Start small for animation
+          }
+
+          this.shieldSprite.setActive(true).setVisible(true);
+          this.shieldSprite.setPosition(this.player.x, this.player.y);
+
+          // Shield activation animation
+          this.tweens.add({
+              targets: this.shieldSprite,
+              alpha: 0.8,
+              scale: 1.5,
+              duration: 300,
+              ease: 'Back.easeOut',
+              onComplete: () => {
+                  // Add pulsing effect to shield
+                  this.tweens.add({
+                      targets: this.shieldSprite,
+                      scale: { from: 1.5, to: 1.7 },
+                      alpha: { from: 0.8, to: 0.6 },
+                      duration: 900,
+                      yoyo: true,
+                      repeat: -1,
+                      ease: 'Sine.easeInOut'
+                  });
+              }
+          });
+
+          // Add shield particles, cleared with the other shield visuals
+          if (this.shieldEmitter) this.shieldEmitter.destroy();
+          this.shieldEmitter = this.add.particles(this.player.x, this.player.y, this.particleTextureKey, {
+              scale: { start: 0.5, end: 0 },
+              alpha: { start: 0.5, end: 0 },
+              speed: 50,
+              lifespan: 1000,
+              blendMode: Phaser.BlendModes.ADD,
+              tint: 0x00ccff,
+              frequency: 50,
+              follow: this.player
+          });
+
+          // Screen flash with blue/cyan for shield
+          this.flashScreen(0x00ccff, 0.5, 300);
+
+          this.audio.playSfx('shieldActivate');
+          this.powerUpText.setText('Shield Active!');
+      } else if (this.activePowerUpType === 'magnet') {
+          // Ring showing how far the magnet reaches
+          this.magnetRing = this.add.circle(this.player.x, this.player.y, Constants.MAGNET_RADIUS)
+              .setStrokeStyle(3, 0xff3366, 0.6)
+              .setDepth(this.player.depth - 0.1)
+              .setScale(0.2);
+
+          this.tweens.add({
+              targets: this.magnetRing,
+              scale: 1,
+              duration: 300,
+              ease: 'Back.easeOut',
+              onComplete: () => {
+                  // Pulse inward to suggest the pull
+                  this.tweens.add({
+                      targets: this.magnetRing,
+                      scale: { from: 1, to: 0.9 },
+                      alpha: { from: 1, to: 0.5 },
+                      duration: 600,
+                      yoyo: true,
+                      repeat: -1,
+                      ease: 'Sine.easeInOut'
+                  });
+              }
+          });
+
+          this.flashScreen(0xff3366, 0.5, 300);
+
+          this.audio.playSfx('powerup');
+          this.powerUpText.setText('Coin Magnet!');
+      } else if (this.activePowerUpType === 'multiplier') {
+          this.player.setTint(0x2ecc71); // Green tint for bonus earnings
+
+          this.multiplierBadge = this.add.text(
+              this.player.x,
+              this.player.getTopCenter().y - 12,
+              `x${Constants.POWER_UP_SCORE_MULTIPLIER}`,
+              { fontSize: '18px', fill: '#2ecc71', fontStyle: 'bold', stroke: '#000', strokeThickness: 3 }
+          )
+          .setOrigin(0.5, 1)
+          .setDepth(this.player.depth + 1);
+
+          this.tweens.add({
+              targets: this.multiplierBadge,
+              scale: { from: 1, to: 1.25 },
+              duration: 400,
+              yoyo: true,
+              repeat: -1,
+              ease: 'Sine.easeInOut'
+          });
+
+          this.flashScreen(0x2ecc71, 0.5, 300);
+
+          this.audio.playSfx('powerup');
+          this.powerUpText.setText('Double Earnings!');
+      }
+
+      // Camera rotation for all power-up types
+      this.cameras.main.rotate(3);
+      this.tweens.add({
+          targets: this.cameras.main,
+          rotation: 0,
+          duration: 500,
+          ease: 'Back.easeOut'
+      });
+  }
+
+  /**
+   * Ends the power-up state. Stops effects.
+   */
+  endPowerUp() {
+      const endedPowerUpType = this.activePowerUpType;
+
+      this.powerUpActive = false;
+      this.activePowerUpType = null;
+
+      // Clear common visual/audio cues if they aren't handled by specific power-up logic
+      this.powerUpText.setText('');
+
+      // Stop and clear common flashing timer
+      if (this.powerUpFlashEvent) {
+          this.powerUpFlashEvent.remove(false);
+          this.powerUpFlashEvent = null;
+      }
+      // Ensure duration timer is cleared (though it calls this function, good for explicit clear if called elsewhere)
+      if (this.powerUpTimer) {
+          this.powerUpTimer.remove(false);
+          this.powerUpTimer = null;
+      }
+
+      if (endedPowerUpType === 'speed') {
+          if(this.powerUpEmitter) this.powerUpEmitter.stop();
+      }
+      // Optionally play a shield down sound if it didn't break
+      // if (endedPowerUpType === 'shield') this.audio.playSfx('shieldDeactivate');
+      this.clearPowerUpVisuals(endedPowerUpType);
+  }
+
+  /**
+   * Removes the visuals a power-up left on the player.
+   * @param {string} powerUpType - The power-up that ended
+   */
+  clearPowerUpVisuals(powerUpType) {
+      if (powerUpType === 'speed' || powerUpType === 'multiplier') {
+          if (this.player && this.player.active) {
+              this.player.clearTint();
+              this.player.setVisible(true); // Ensure player is visible after flashing
+          }
+      }
+
+      if (powerUpType === 'multiplier') {
+          // The bonus stops with the power-up, but the combo multiplier stays
+          this.scoreMultiplier = Math.max(1, this.scoreMultiplier / Constants.POWER_UP_SCORE_MULTIPLIER);
+          if (this.multiplierText) {
+              this.multiplierText.setText(`${this.scoreMultiplier}x`).setAlpha(this.scoreMultiplier > 1 ? 1 : 0);
+          }
+      }
+
+      if (powerUpType === 'shield') {
+          if (this.shieldSprite) this.shieldSprite.setVisible(false);
+          if (this.shieldEmitter) {
+              this.shieldEmitter.destroy();
+              this.shieldEmitter = null;
+          }
+      } else if (powerUpType === 'magnet' && this.magnetRing) {
+          this.tweens.killTweensOf(this.magnetRing);
+          this.magnetRing.destroy();
+          this.magnetRing = null;
+      } else if (powerUpType === 'multiplier' && this.multiplierBadge) {
+          this.tweens.killTweensOf(this.multiplierBadge);
+          this.multiplierBadge.destroy();
+          this.multiplierBadge = null;
+      }
+  }
+
+   /**
+   * Updates the display text for the power-up timer.
+   */
+   updatePowerUpDisplay() {
+      if (this.powerUpActive && this.powerUpTimer) {
+          const remaining = Math.ceil(this.powerUpTimer.getRemainingSeconds());
+          if (this.activePowerUpType === 'speed') {
+            this.powerUpText.setText(`Power Surge: ${remaining}s`);
+          } else if (this.activePowerUpType === 'shield') {
+            this.powerUpText.setText(`Shield: ${remaining}s`);
+          } else if (this.activePowerUpType === 'magnet') {
+            this.powerUpText.setText(`Magnet: ${remaining}s`);
+          } else if (this.activePowerUpType === 'multiplier') {
+            this.powerUpText.setText(`Double Earnings: ${remaining}s`);
+          }
+      } else if (!this.powerUpActive && this.powerUpText.text !== '' && this.powerUpText.text !== 'Shield Broken!') {
+           this.powerUpText.setText('');
+      }
+  }
+
+
+  /**
+   * Process callback for every hazard: whether it can hurt the player right now.
+   */
+  canBeHit() {
+      return this.activePowerUpType !== 'speed' && !this.gameOver && !this.invulnerable;
+  }
+
+  /**
+   * Takes a heart off the player. With hearts left, they blink for INVULNERABILITY_DURATION ms
+   * and hazards and pits can't hurt them again until it's over.
+   * @returns {boolean} - True if the player has a heart left
+   */
+  loseLife() {
+      this.lives = Math.max(this.lives - 1, 0);
+      this.updateHearts();
+      if (this.lives === 0) return false;
+
+      this.invulnerable = true;
+      if (this.blinkTween) this.blinkTween.stop();
+      this.blinkTween = this.tweens.add({ targets: this.player, alpha: 0.2, duration: 100, yoyo: true, repeat: -1 });
+      if (this.invulnerableTimer) this.invulnerableTimer.remove(false);
+      this.invulnerableTimer = this.time.delayedCall(Constants.INVULNERABILITY_DURATION, this.endInvulnerability, [], this);
+      return true;
+  }
+
+  /**
+   * Ends the blink after losing a heart, so hazards can hurt the player again.
+   */
+  endInvulnerability() {
+      this.invulnerable = false;
+      this.blinkUntilLanding = false;
+      if (this.blinkTween) this.blinkTween.stop();
+      this.blinkTween = null;
+      this.invulnerableTimer = null;
+      this.player.setAlpha(1);
+  }
+
+  /**
+   * Knocks the player up and back after a hit, drifting back into place while they blink.
+   */
+  knockBack() {
+      // Measured from the fixed home x, as the collider has already pushed the player back a little
+      const homeX = this.playerHomeX;
+      this.player.setVelocityY(Constants.KNOCKBACK_VELOCITY);
+      this.jumpDownActive = false;
+
+      this.tweens.add({
+          targets: this.player,
+          x: homeX - Constants.KNOCKBACK_DISTANCE,
+          duration: 150,
+          ease: 'Quad.easeOut',
+          onComplete: () => {
+              this.tweens.add({ targets: this.player, x: homeX, duration: 800, ease: 'Sine.easeInOut' });
+          }
+      });
+  }
+
+  /**
+   * Springs the player back up out of a pit. They pass up through the ground on the way and
+   * can land on it again once they start to fall, see update(). They keep blinking until then.
+   */
+  rescueFromPit() {
+      if (this.invulnerableTimer) this.invulnerableTimer.remove(false);
+      this.invulnerableTimer = null;
+      this.blinkUntilLanding = true;
+      this.player.y = this.scale.height + this.player.displayHeight / 2;
+      this.player.setVelocityY(Constants.PIT_RESCUE_VELOCITY);
+      this.player.body.checkCollision.up = false;
+      this.rescuing = true;
+      this.hasDoubleJumped = false;
+      this.jumpDownActive = false;
+      this.flashScreen(0xe74c3c, 0.3, 150);
+  }
+
+  /**
+   * Defeats a tax collector the player landed on: bounces the player off, squashes the enemy
+   * and scores points that count toward the combo. A fast fall onto it is worth more.
+   * @param {Phaser.Physics.Arcade.Sprite} player - The player
+   * @param {Phaser.Physics.Arcade.Sprite} enemy - The stomped tax collector
+   */
+  stompEnemy(player, enemy) {
+      const fastFall = this.jumpDownActive;
+
+      // Out of the fight straight away, so it can't be hit again while it squashes
+      enemy.body.enable = false;
+      const patrolTween = enemy.getData('patrolTween');
+      if (patrolTween) {
+          patrolTween.stop();
+          enemy.setData('patrolTween', null);
+      }
+
+      // The bounce is a fresh jump, so the double jump is available again
+      player.setVelocityY(Constants.STOMP_BOUNCE_VELOCITY);
+      this.hasDoubleJumped = false;
+      this.jumpDownActive = false;
+
+      // Flatten into the ground, then vanish. Origin is at the feet, so it squashes downward
+      enemy.setData('stompTween', this.tweens.add({
+          targets: enemy,
+          scaleX: enemy.scaleX * 1.4,
+          scaleY: enemy.scaleY * 0.2,
+          alpha: 0,
+          duration: 250,
+          ease: 'Quad.easeOut',
+          onComplete: () => {
+              enemy.setData('stompTween', null);
+              this.enemies.killAndHide(enemy);
+          }
+      }));
+
+      if (this.bossFight) {
+          this.bossFight.takeHit(Constants.BOSS_STOMP_DAMAGE);
+      }
+
+      this.advanceCombo();
+      const multiplier = fastFall ? Constants.STOMP_FAST_FALL_MULTIPLIER : 1;
+      const scoreValue = Constants.STOMP_SCORE * multiplier * this.scoreMultiplier;
+      this.addScore(scoreValue, enemy.x, enemy.y - enemy.displayHeight);
+
+      this.jumpEmitter.explode(fastFall ? 16 : 10, enemy.x, enemy.y - enemy.displayHeight);
+      this.audio.playSfx('stomp');
+      if (fastFall) {
+          this.cameras.main.shake(120, 0.004);
+      }
+  }
+
+  /**
+   * Called when the player collides with any enemy. Landing on a tax collector stomps it;
+   * any other contact triggers effects and ends the game.
+   */
+  hitEnemy(player, enemy) {
+      if (this.gameOver) return;
+
+      // Arcade only marks the enemy as touched on top when the player came down onto it;
+      // side and bottom contacts leave it unset
+      if (this.enemies.contains(enemy) && enemy.body.touching.up) {
+          this.stompEnemy(player, enemy);
+          return;
+      }
+
+      // Shield Power-up check
+      if (this.activePowerUpType === 'shield' && this.powerUpActive) {
+          this.audio.playSfx('shieldHit');
+
+          // Hide the shield and its particles
+          this.clearPowerUpVisuals('shield');
+          // Maybe add a small particle burst for shield breaking
+          // this.shieldBreakEmitter.explodeAt(this.player.x, this.player.y);
+
+          this.powerUpActive = false;
+          this.activePowerUpType = null;
+
+          // Clear the main power-up timer since shield broke early
+          if (this.powerUpTimer) {
+              this.powerUpTimer.remove(false);
+              this.powerUpTimer = null;
+          }
+
+          this.powerUpText.setText('Shield Broken!');
+          this.time.delayedCall(1200, () => {
+              // Only clear if it's still "Shield Broken!" and no new power-up started
+              if (this.powerUpText.text === 'Shield Broken!' && !this.powerUpActive) {
+                  this.powerUpText.setText('');
+              }
+          }, [], this);
+
+          // Make player flash briefly to indicate invulnerability / shield hit
+          player.setAlpha(0.5);
+          this.time.delayedCall(200, () => {
+              player.setAlpha(1);
+          }, [], this);
+
+          return; // Player is safe, shield absorbed the hit
+      }
+
+      // Play hit sound (if no shield)
+      this.audio.playSfx('hit');
+
+      // Add camera shake
+      this.cameras.main.shake(250, 0.008); // Duration 250ms, intensity 0.008
+
+      if (this.loseLife()) {
+          this.knockBack();
+          return;
+      }
+
+      let cause = 'taxCollector';
+      if (this.flyingEnemies.contains(enemy)) cause = 'taxDrone';
+      else if (this.auditBots.contains(enemy)) cause = 'auditBot';
+      else if (this.bossFight && this.bossFight.paperwork.contains(enemy)) cause = 'paperwork';
+      else if (this.redTape.contains(enemy)) cause = 'redTape';
+      this.endGame(cause);
+  }
+
+  /**
+   * Handles the game over sequence, fading out to the results screen.
+   * @param {string} cause - What ended the run, shown on the game-over screen
+   */
+  endGame(cause) {
+      if (this.gameOver) return;
+
+      this.gameOver = true;
+      this.causeOfDeath = cause;
+      this.finishRecording();
+      this.saveGhostIfBest();
+      this.physics.pause();
+      this.player.setTint(0xff0000);
+      this.player.anims.stop();
+      this.player.setVisible(true); // Ensure visible after potential flashing
+
+      this.audio.playSfx('gameOver');
+
+      // Stop spawning & powerup effects immediately
+      this.cleanupTimers();
+      if(this.powerUpEmitter) this.powerUpEmitter.stop(); // Ensure trail stops
+      this.tweens.killTweensOf(this.auditBotWarning); // A bot that was on its way never arrives
+      this.endInvulnerability();
+      if (this.bossFight) this.bossFight.stop();
+      this.auditBotWarning.setVisible(false);
+
+      // Force end power-up state visually if active
+      if (this.powerUpActive) {
+           this.clearPowerUpVisuals(this.activePowerUpType);
+           this.player.setTint(0xff0000); // Clearing the power-up tint also cleared the death tint
+           this.powerUpActive = false;
+           this.activePowerUpType = null;
+           this.powerUpText.setText('');
+      }
+
+      // Fade out, then hand the run over to the results screen
+      this.savePlayerScaleData();
+      fadeToScene(this, 'GameOverScene', this.getRunResults());
+  }
+
+  /**
+   * Collects the stats of the finished run for the game-over screen.
+   * @returns {{score: number, coinScore: number, distanceScore: number, coins: number, bestCombo: number, distance: number, powerUpsUsed: number, causeOfDeath: string, mode: string, seed: number, leaderboardKey: string, isReplay: boolean, ghostGap: ?number, replayMatched: ?boolean}}
+   */
+  getRunResults() {
+      return {
+          score: this.score,
+          coinScore: this.score - this.distanceScore, // Coins, stomps and boss rewards
+          distanceScore: this.distanceScore,
+          coins: this.coinsCollected,
+          bestCombo: this.bestCombo,
+          distance: Math.floor(this.distanceTravelled / Constants.PIXELS_PER_METER),
+          powerUpsUsed: this.powerUpsUsed,
+          causeOfDeath: this.causeOfDeath,
+          mode: this.mode,
+          seed: this.seed,
+          leaderboardKey: this.leaderboardKey,
+          isReplay: Boolean(this.playback),
+          segment: this.segmentData, // Custom segment file, so a retry starts with it too
+          playtest: this.playtest,
+          // Metres past (positive) or short of the ghost's distance, or null when there was no ghost to race
+          ghostGap: this.ghostRun
+              ? Math.round((this.distanceTravelled - this.ghostRun.finalDistance) / Constants.PIXELS_PER_METER)
+              : null,
+          // Null for live runs; for replays, whether playback reproduced the recorded run
+          replayMatched: this.playback
+              ? this.playback.matches({ frames: this.frame, score: this.score, rngDraws: this.rng.draws })
+              : null
+      };
+  }
+
+  /**
+   * Keeps the HUD best score in step with the current run.
+   */
+  updateHighScoreDisplay() {
+      if (this.score <= this.highScore) return;
+
+      this.highScore = this.score;
+      this.highScoreText.setText(`Best: ${this.highScore}`);
+      this.highScoreText.setColor('#e67e22'); // Highlight a new personal best
+  }
+
+  /**
+   * Throws away the current run and restarts the scene, e.g. from the pause menu.
+   */
+  restartRun() {
+      this.cleanupTimers();
+
+      // The abandoned run is still worth keeping as a replay
+      this.recordAction('restart');
+      this.finishRecording();
+
+      // Reset camera effects before restarting
+      this.cameras.main.resetFX();
+
+      this.savePlayerScaleData();
+      // A replay restarts from its beginning; a live run starts over in the same mode
+      this.scene.restart(this.playback
+          ? { replay: this.playback.toJSON() }
+          : { mode: this.mode, segment: this.segmentData, playtest: this.playtest });
+  }
+
+  /**
+   * Stores the player scale in the scene's data manager, which outlives the run,
+   * so the next start can restore it.
+   */
+  savePlayerScaleData() {
+      const playerScaleData = {
+          scaleX: this.playerScaleX,
+          scaleY: this.playerScaleY,
+          originalWidth: this.playerOriginalWidth,
+          originalHeight: this.playerOriginalHeight
+      };
+      this.data.set('playerScaleData', playerScaleData);
+  }
+
+  /**
+   * Safely removes and nullifies all active timers.
+   */
+  cleanupTimers() {
+      if (this.powerUpTimer) this.powerUpTimer.remove(false);
+      if (this.powerUpFlashEvent) this.powerUpFlashEvent.remove(false);
+      if (this.comboTimer) this.comboTimer.remove(false); // Cleanup combo timer
+      if (this.powerUpSpawnTimer) this.powerUpSpawnTimer.remove(false);
+      if (this.auditBotSpawnTimer) this.auditBotSpawnTimer.remove(false);
+      if (this.lifePickupSpawnTimer) this.lifePickupSpawnTimer.remove(false);
+      if (this.auditBotWarningTimer) this.auditBotWarningTimer.remove(false);
+      if (this.invulnerableTimer) this.invulnerableTimer.remove(false);
+      this.powerUpTimer = null;
+      this.powerUpFlashEvent = null;
+      this.comboTimer = null; // Nullify combo timer
+      this.powerUpSpawnTimer = null;
+      this.auditBotSpawnTimer = null;
+      this.auditBotWarningTimer = null;
+      this.lifePickupSpawnTimer = null;
+      this.invulnerableTimer = null;
+  }
+
+  /**
+   * Scales a game object to the target size if needed.
+   * @param {Phaser.GameObjects.Sprite} gameObject - The sprite to scale
+   * @param {string} objectType - The type of object (player, coin, enemy, etc.)
+   */
+  scaleToTargetSize(gameObject, objectType) {
+      if (!this.targetSizes || !this.targetSizes[objectType]) return;
+
+      // For player, check if we have stored scale data to restore
+      if (objectType === 'player' && this.data && this.data.has('playerScaleData')) {
+          const scaleData = this.data.get('playerScaleData');
+          gameObject.setScale(scaleData.scaleX, scaleData.scaleY);
+          this.playerOriginalWidth = scaleData.originalWidth;
+          this.playerOriginalHeight = scaleData.originalHeight;
+          this.playerScaleX = scaleData.scaleX;
+          this.playerScaleY = scaleData.scaleY;
+          return;
+      }
+
+      // Get the current and target dimensions
+      const target = this.targetSizes[objectType];
+      const current = {
+          width: gameObject.width,
+          height: gameObject.height
+      };
+
+      // Calculate and apply scale if needed
+      if (current.width !== target.width || current.height !== target.height) {
+          const scaleX = target.width / current.width;
+          const scaleY = target.height / current.height;
+          gameObject.setScale(scaleX, scaleY);
+      }
+  }
+
+  /**
+   * Scene shutdown cleanup.
+   */
+  shutdown() {
+      this.cleanupTimers();
+      // Explicitly remove pointerdown listener to prevent duplicates on restart
+      this.input.off('pointerdown', this.handleJumpInput, this);
+      this.input.off('pointerup', this.handleJumpRelease, this);
+      this.input.keyboard.off('keydown-M', this.toggleMute, this);
+      this.input.keyboard.off('keydown-P', this.pauseGame, this);
+      this.input.keyboard.off('keydown-ESC', this.pauseGame, this);
+
+      // Game and scene events outlive the run, so drop our listeners before a restart adds them again
+      this.game.events.off(Phaser.Core.Events.HIDDEN, this.pauseGame, this);
+      this.game.events.off(Phaser.Core.Events.BLUR, this.pauseGame, this);
+      this.events.off('resume', this.onResume, this);
+
+      // Release sounds so a restart doesn't stack another music loop
+      if (this.audio) this.audio.destroy();
+
+      // Destroy particle emitters to free resources
+      if (this.coinEmitter) this.coinEmitter.destroy();
+      if (this.jumpEmitter) this.jumpEmitter.destroy();
+      if (this.doubleJumpEmitter) this.doubleJumpEmitter.destroy();
+      if (this.powerUpEmitter) this.powerUpEmitter.destroy();
+
+      // Clean up all environmental emitters
+      this.environmentEmitters.forEach(emitter => {
+          if (emitter && emitter.destroy) emitter.destroy();
+      });
+      this.environmentEmitters = [];
+
+      // Clean up any remaining score popups
+      this.scorePopups.forEach(popup => {
+          if (popup && popup.destroy) popup.destroy();
+      });
+      this.scorePopups = [];
+
+      // Stop all tweens running in the scene
+      this.tweens.killAll();
+  }
+
+  /**
+   * Sets up the player hitbox based on the original dimensions and scale.
+   */
+  setupPlayerHitbox() {
+      let sourceWidth = this.playerOriginalWidth;
+      let sourceHeight = this.playerOriginalHeight;
+      if (!(sourceWidth > 0 && sourceHeight > 0)) {
+          console.warn("Player original dimensions not set. Using default hitbox.");
+          sourceWidth = this.player.width;
+          sourceHeight = this.player.height;
+      }
+
+      // Define hitbox size (smaller than the sprite for tighter collisions)
+      const hitboxWidth = sourceWidth * 0.6;
+      const standingHeight = sourceHeight * 0.85;
+      const hitboxHeight = this.sliding ? sourceHeight * Constants.SLIDE_HEIGHT_RATIO : standingHeight;
+
+      // Center the standing hitbox on the sprite; a sliding one keeps the same feet and a lower top
+      const offsetX = (sourceWidth - hitboxWidth) / 2;
+      const offsetY = (sourceHeight - standingHeight) / 2 + standingHeight - hitboxHeight;
+
+      this.player.body.setSize(hitboxWidth, hitboxHeight);
+      this.player.body.setOffset(offsetX, offsetY);
+  }
+
+  /**
+   * Starts or stops a slide, shrinking the hitbox so the player fits under red tape.
+   * @param {boolean} sliding - Whether the player should be sliding
+   */
+  setSliding(sliding) {
+      if (this.sliding === sliding) return;
+      this.sliding = sliding;
+      this.setupPlayerHitbox();
+  }
+
+  /**
+   * Triggers a stretch tween on the player sprite for jumping.
+   */
+  triggerStretchTween() {
+      if (!this.player || !this.player.active) return;
+      // Stop any existing scale tween
+      if (this.player.scaleTween) {
+          this.player.scaleTween.stop();
+          // Ensure scale is reset before starting a new tween if one was interrupted.
+          this.player.setScale(this.playerScaleX, this.playerScaleY);
+      }
+
+      this.player.scaleTween = this.tweens.add({
+          targets: this.player,
+          scaleX: { from: this.playerScaleX, to: this.playerScaleX * 0.85 },
+          scaleY: { from: this.playerScaleY, to: this.playerScaleY * 1.15 },
+          duration: 75,
+          ease: 'Sine.easeInOut',
+          yoyo: true,
+          onComplete: () => {
+              // Ensure final scale is correct
+              if (this.player && this.player.active) {
+                this.player.setScale(this.playerScaleX, this.playerScaleY);
+              }
+              this.player.scaleTween = null;
+          },
+          onStop: () => { // Also reset on stop if tween is interrupted
+              if (this.player && this.player.active) {
+                this.player.setScale(this.playerScaleX, this.playerScaleY);
+              }
+              this.player.scaleTween = null;
+          }
+      });
+  }
+
+  /**
+   * Triggers a squash tween on the player sprite for landing.
+   */
+  triggerSquashTween() {
+      if (!this.player || !this.player.active) return;
+      // Stop any existing scale tween
+      if (this.player.scaleTween) {
+          this.player.scaleTween.stop();
+          this.player.setScale(this.playerScaleX, this.playerScaleY);
+      }
+
+      this.player.scaleTween = this.tweens.add({
+          targets: this.player,
+          scaleX: { from: this.playerScaleX, to: this.playerScaleX * 1.15 },
+          scaleY: { from: this.playerScaleY, to: this.playerScaleY * 0.85 },
+          duration: 100,
+          ease: 'Sine.easeInOut',
+          yoyo: true,
+          onComplete: () => {
+              if (this.player && this.player.active) {
+                this.player.setScale(this.playerScaleX, this.playerScaleY);
+              }
+              this.player.scaleTween = null;
+          },
+          onStop: () => {
+              if (this.player && this.player.active) {
+                this.player.setScale(this.playerScaleX, this.playerScaleY);
+              }
+              this.player.scaleTween = null;
+          }
+      });
+  }
+
+  /**
+   * Opens a pit by removing the ground under it, so a player who runs in falls through.
+   * @param {number} leftX - Screen x of the pit's left edge
+   * @param {number} pitWidth - Width of the pit in pixels
+   */
+  spawnPit(leftX, pitWidth) {
+      if (this.gameOver) return;
+
+      const rightX = leftX + pitWidth;
+      this.extendGround(rightX);
+
+      // Pieces are collected first, since splitting one adds another to the group
+      const overlapping = this.groundPieces.getChildren().filter(piece =>
+          piece.active && piece.x < rightX && piece.x + piece.width > leftX
+      );
+      overlapping.forEach(piece => {
+          const pieceRight = piece.x + piece.width;
+          if (pieceRight > rightX) {
+              this.addGroundPiece(rightX, pieceRight);
+          }
+          if (piece.x < leftX) {
+              this.placeGroundPiece(piece, piece.x, leftX);
+          } else {
+              piece.body.enable = false;
+              this.groundPieces.killAndHide(piece);
+          }
+      });
+  }
+
+  /**
+   * Spawns a floating platform. Only its top is solid: the player jumps up through it from below
+   * and lands on it from above.
+   * @param {number} leftX - Screen x of the platform's left edge
+   * @param {number} topY - Screen y of the platform's top
+   * @param {number} platformWidth - Width of the platform in pixels
+   */
+  spawnPlatform(leftX, topY, platformWidth) {
+      if (this.gameOver) return;
+
+      const thickness = Constants.PLATFORM_THICKNESS;
+      let platform = this.platforms.getFirstDead(false);
+      if (!platform) {
+          platform = this.add.tileSprite(0, 0, platformWidth, thickness, TEXTURE_KEYS.platform)
+              .setOrigin(0, 0)
+              .setDepth(0.5); // Same layer as the ground
+          this.platforms.add(platform);
+      }
+
+      platform.setActive(true).setVisible(true);
+      platform.setPosition(leftX, topY).setSize(platformWidth, thickness);
+      platform.tilePositionX = this.distanceTravelled + leftX;
+
+      platform.body.enable = true;
+      platform.body.setSize(platformWidth, thickness, false).setOffset(0, 0);
+      platform.body.checkCollision.down = false;
+      platform.body.checkCollision.left = false;
+      platform.body.checkCollision.right = false;
+      platform.body.updateFromGameObject();
+  }
+
+  /**
+   * Spawns a red tape barrier: it hangs from the top of the screen down to just above the
+   * ground, so it can't be jumped over, only slid under.
+   * @param {number} spawnX - Screen x of the barrier's centre
+   */
+  spawnRedTape(spawnX) {
+      if (this.gameOver) return;
+
+      const tapeWidth = Constants.RED_TAPE_WIDTH;
+      const tapeHeight = this.groundY - Constants.RED_TAPE_CLEARANCE;
+      let tape = this.redTape.getFirstDead(false);
+      if (!tape) {
+          tape = this.add.tileSprite(0, 0, tapeWidth, tapeHeight, TEXTURE_KEYS.redTape)
+              .setOrigin(0.5, 0)
+              .setDepth(1.5); // Same layer as the enemies
+          this.redTape.add(tape);
+      }
+
+      tape.setActive(true).setVisible(true);
+      tape.setPosition(spawnX, 0).setSize(tapeWidth, tapeHeight);
+      tape.body.enable = true;
+      tape.body.setSize(tapeWidth, tapeHeight, false).setOffset(0, 0);
+      tape.body.updateFromGameObject();
+  }
+
+  /**
+   * Lays ground pieces until the ground reaches the given screen x.
+   * @param {number} toX - Screen x the ground should reach, the right edge of the screen by default
+   */
+  extendGround(toX = this.scale.width) {
+      while (this.groundEndX < toX) {
+          const pieceRight = this.groundEndX + this.scale.width; // TileSprites shouldn't be wider than the canvas
+          this.addGroundPiece(this.groundEndX, pieceRight);
+          this.groundEndX = pieceRight;
+      }
+  }
+
+  /**
+   * Adds a ground piece between two screen x positions, reusing a despawned one when possible.
+   */
+  addGroundPiece(leftX, rightX) {
+      let piece = this.groundPieces.getFirstDead(false);
+      if (!piece) {
+          piece = this.add.tileSprite(0, 0, rightX - leftX, 32, 'ground')
+              .setOrigin(0, 0)
+              .setDepth(0.5); // Above background, below player
+          this.groundPieces.add(piece);
+      }
+
+      piece.setActive(true).setVisible(true);
+      piece.body.enable = true;
+      this.placeGroundPiece(piece, leftX, rightX);
+  }
+
+  /**
+   * Moves and resizes a ground piece to span two screen x positions.
+   */
+  placeGroundPiece(piece, leftX, rightX) {
+      const pieceWidth = rightX - leftX;
+
+      // The texture's top edge sits 6px above where the player stands
+      piece.setPosition(leftX, this.groundY - 6).setSize(pieceWidth, 32);
+      piece.tilePositionX = this.distanceTravelled + leftX; // Keeps the texture continuous across pieces
+      piece.body.setSize(pieceWidth, 20, false).setOffset(0, 6);
+      piece.body.updateFromGameObject();
+  }
+
+  /**
+   * Adds enhanced visual/audio feedback for regular jump
+   */
+  addJumpEffect() {
+      // Camera slight upward movement
+      this.cameras.main.shake(100, 0.003, false, (camera, progress) => {
+          if (progress === 0) {
+              // On start, move slightly up
+              camera.y -= 3;
+          }
+          if (progress === 1) {
+              // Reset position at end
+              camera.y = 0;
+          }
+      });
+
+      // Screen flash
+      this.flashScreen(0xffffff, 0.2, 100);
+  }
+
+  /**
+   * Adds enhanced visual/audio feedback for double jump
+   */
+  addDoubleJumpEffect() {
+      // Camera slight zoom out
+      this.cameras.main.zoomTo(
+          this.cameraOriginalZoom * 0.95,
+          150,
+          'Sine.easeOut',
+          true,
+          (camera, progress) => {
+              if (progress === 1) {
+                  // Zoom back to normal
+                  camera.zoomTo(this.cameraOriginalZoom, 200, 'Sine.easeOut');
+              }
+          }
+      );
+
+      // Create a circular flash effect
+      this.flashScreen(0x00ffff, 0.3, 150);
+
+      // Brief slow motion effect
+      this.timeDilationEffect(0.5, 200);
+  }
+
+  /**
+   * Adds enhanced visual/audio feedback for landing
+   */
+  addLandingEffect() {
+      // Camera shake based on fall duration
+      const shakeDuration = Math.min(this.wasInAir * 100, 200);
+      const shakeIntensity = Math.min(this.wasInAir * 0.001, 0.005);
+      this.cameras.main.shake(shakeDuration, shakeIntensity);
+
+      // Dust particles on landing
+      const dustCount = Math.min(5 + Math.floor(this.wasInAir * 3), 15);
+      this.jumpEmitter.explode(dustCount, this.player.x, this.player.y + this.player.displayHeight / 2);
+
+      // Screen impact flash
+      this.flashScreen(0xffffff, 0.15, 100);
+  }
+
+  /**
+   * Adds enhanced visual/audio feedback for jump down
+   */
+  addJumpDownEffect() {
+      // Slight camera follow
+      this.cameras.main.pan(
+          this.player.x,
+          this.player.y + 30,
+          100,
+          'Sine.easeOut',
+          true,
+          (camera, progress) => {
+              if (progress === 1) {
+                  // Reset
+                  camera.pan(
+                      this.player.x,
+                      this.player.y,
+                      100,
+                      'Sine.easeOut'
+                  );
+              }
+          }
+      );
+
+      // Screen flash
+      this.flashScreen(0xffaa00, 0.2, 100);
+  }
+
+  /**
+   * Creates a screen flash effect
+   * @param {number} color - Hex color for the flash
+   * @param {number} alpha - Alpha intensity (0-1)
+   * @param {number} duration - Duration in ms
+   */
+  flashScreen(color, alpha = 0.3, duration = 100) {
+      if (!this.screenFlash) return;
+
+      this.screenFlash.setFillStyle(color);
+      this.screenFlash.setAlpha(alpha);
+
+      this.tweens.add({
+          targets: this.screenFlash,
+          alpha: 0,
+          duration: duration,
+          ease: 'Sine.easeOut'
+      });
+  }
+
+  /**
+   * Creates a time dilation effect
+   * @param {number} factor - Factor to slow time (< 1) or speed it up (> 1)
+   * @param {number} duration - Duration in ms
+   * @param {boolean} smoothTransition - Whether to transition smoothly
+   */
+  timeDilationEffect(factor, duration = 500, smoothTransition = true) {
+      // Clear any existing time warp tweens
+      if (this.timeWarpTween) {
+          this.timeWarpTween.stop();
+      }
+
+      if (smoothTransition) {
+          // Smoothly transition time dilation
+          this.timeWarpTween = this.tweens.add({
+              targets: this,
+              timeDilation: factor,
+              duration: duration / 3,
+              ease: 'Sine.easeOut',
+              onComplete: () => {
+                  // Return to normal
+                  this.timeWarpTween = this.tweens.add({
+                      targets: this,
+                      timeDilation: 1,
+                      duration: duration * 2/3,
+                      ease: 'Sine.easeInOut'
+                  });
+              }
+          });
+      } else {
+          // Immediate time dilation
+          this.timeDilation = factor;
+
+          // Schedule return to normal
+          this.time.delayedCall(duration, () => {
+              this.timeDilation = 1;
+          });
+      }
+  }
+}
@@ -0,0 +1,291 @@
+/**
+ * MYOB Dash - Menu Scene
+ * Title screen with the logo, mode select, replays, leaderboard and settings
+ */
+import Constants from '../config/constants.js';
+import GameModes, { DEFAULT_MODE, getLeaderboardKey } from '../config/modes.js';
+import Leaderboard, { DEFAULT_RANKING, LEADERBOARD_RANKINGS } from '../systems/Leaderboard.js';
+import AudioManager, { AUDIO_FILES } from '../systems/AudioManager.js';
+import Replay from '../systems/Replay.js';
+import { createTextButton } from '../ui/buttons.js';
+import { fadeToScene } from '../ui/transitions.js';
+import { downloadReplay, pickReplayFile } from '../utils/replayFiles.js';
+
+const MENU_BACKGROUND_COLOR = '#2c1a4d';
+
+export default class MenuScene extends Phaser.Scene {
+    constructor() {
+        super('MenuScene');
+
+        this.audio = null;          // Only used by the settings overlay
+        this.panels = {};           // Game objects of each menu page, keyed by page name
+        this.activePanel = null;
+        this.modeButtons = {};      // Mode select buttons, keyed by mode
+        this.leaderboardText = null;
+        this.leaderboardTitle = null;
+        this.rankingButton = null;  // Switches the leaderboard between rankings
+        this.replayButtons = [];    // Buttons that need a last replay to work
+        this.replayStatusText = null;
+    }
+
+    preload() {
+        this.load.setBaseURL('assets/');
+        this.load.image('logo', 'logo.png');
+        this.audio = new AudioManager(this);
+        // The settings overlay plays a sample coin sound when the volume changes. The real file is
+        // tried first: a placeholder in the shared cache would stop GameScene from loading it later.
+        this.audio.queueAudio({ coin: AUDIO_FILES.coin });
+    }
+
+    create() {
+        const { width, height } = this.scale;
+
+        this.cameras.main.setBackgroundColor(MENU_BACKGROUND_COLOR);
+
+        // --- Logo --- (Falls back to a text title if the image is missing)
+        if (this.textures.exists('logo')) {
+            const logo = this.add.image(width / 2, 90, 'logo');
+            logo.setScale(140 / logo.height);
+        } else {
+            this.add.text(width / 2, 90, 'MYOB Dash', { fontSize: '56px', fill: '#f8b200', fontStyle: 'bold', stroke: '#000', strokeThickness: 6 })
+                .setOrigin(0.5);
+        }
+
+        // The selected mode lives in the game registry so it survives trips through the other scenes
+        if (!GameModes[this.registry.get('mode')]) {
+            this.registry.set('mode', DEFAULT_MODE);
+        }
+
+        this.panels = {
+            main: this.createMainPanel(),
+            modes: this.createModesPanel(),
+            leaderboard: this.createLeaderboardPanel(),
+            replays: this.createReplaysPanel()
+        };
+        this.showPanel('main');
+
+        // Only synthesized if no coin file loaded in preload()
+        this.audio.ensureSoundExists('coin');
+        this.audio.createSounds(['coin']);
+
+        this.input.keyboard.on('keydown-ENTER', this.onConfirmKey, this);
+        this.input.keyboard.on('keydown-SPACE', this.onConfirmKey, this);
+        this.input.keyboard.on('keydown-ESC', this.onBackKey, this);
+
+        // Phaser doesn't call shutdown() by itself, so hook it to the scene event
+        this.events.once('shutdown', this.shutdown, this);
+
+        this.cameras.main.fadeIn(Constants.FADE_DURATION, 0, 0, 0);
+    }
+
+    /**
+     * Builds the top-level menu.
+     * @returns {Phaser.GameObjects.GameObject[]} - The page's game objects
+     */
+    createMainPanel() {
+        const { width, height } = this.scale;
+        return [
+            createTextButton(this, width / 2, 190, 'Play', () => this.startGame()),
+            createTextButton(this, width / 2, 238, 'Modes', () => this.showPanel('modes')),
+            createTextButton(this, width / 2, 286, 'Replays', () => this.showPanel('replays')),
+            createTextButton(this, width / 2, 334, 'Leaderboard', () => this.showPanel('leaderboard')),
+            createTextButton(this, width / 2, 382, 'Settings', () => this.openSettings()),
+            this.add.text(width / 2, height - 20, 'ENTER / SPACE to play', { fontSize: '14px', fill: '#dddddd' }).setOrigin(0.5)
+        ];
+    }
+
+    /**
+     * Builds the mode select page, one button per mode.
+     * @returns {Phaser.GameObjects.GameObject[]} - The page's game objects
+     */
+    createModesPanel() {
+        const { width, height } = this.scale;
+        const items = [];
+
+        Object.values(GameModes).forEach((mode, index) => {
+            const y = 200 + index * 60;
+            const button = createTextButton(this, width / 2, y, mode.name, () => this.selectMode(mode.key));
+            const description = this.add.text(width / 2, y + 28, mode.description, { fontSize: '14px', fill: '#dddddd' }).setOrigin(0.5);
+            this.modeButtons[mode.key] = button;
+            items.push(button, description);
+        });
+
+        items.push(createTextButton(this, width / 2, height - 50, 'Back', () => this.showPanel('main')));
+        this.refreshModeButtons();
+        return items;
+    }
+
+    /**
+     * Builds the leaderboard page. The table is filled in each time the page opens.
+     * @returns {Phaser.GameObjects.GameObject[]} - The page's game objects
+     */
+    createLeaderboardPanel() {
+        const { width, height } = this.scale;
+        this.leaderboardTitle = this.add.text(width / 2, 175, '', { fontSize: '20px', fill: '#ffffff', fontStyle: 'bold' }).setOrigin(0.5);
+        this.leaderboardText = this.add.text(width / 2, 195, '', {
+            fontSize: '16px', fill: '#ffffff', fontFamily: 'monospace', align: 'left', lineSpacing: 2
+        }).setOrigin(0.5, 0);
+
+        this.rankingButton = createTextButton(this, width / 2 + 170, 175, '', () => this.toggleRanking(), {
+            fontSize: '14px', padding: { x: 8, y: 4 }
+        });
+
+        return [
+            this.leaderboardTitle,
+            this.leaderboardText,
+            this.rankingButton,
+            createTextButton(this, width / 2, height - 50, 'Back', () => this.showPanel('main'))
+        ];
+    }
+
+    /**
+     * Builds the replays page: watch or export the last run, or import a replay file.
+     * @returns {Phaser.GameObjects.GameObject[]} - The page's game objects
+     */
+    createReplaysPanel() {
+        const { width, height } = this.scale;
+
+        this.replayButtons = [
+            createTextButton(this, width / 2, 200, 'Watch Last Run', () => this.watchReplay(this.registry.get('lastReplay'))),
+            createTextButton(this, width / 2, 255, 'Export Last Run', () => this.exportLastReplay())
+        ];
+        this.replayStatusText = this.add.text(width / 2, 350, '', { fontSize: '14px', fill: '#dddddd', align: 'center' }).setOrigin(0.5);
+
+        return [
+            ...this.replayButtons,
+            createTextButton(this, width / 2, 310, 'Import Replay', () => this.importReplay()),
+            this.replayStatusText,
+            createTextButton(this, width / 2, height - 50, 'Back', () => this.showPanel('main'))
+        ];
+    }
+
+    /**
+     * Shows one menu page and hides the rest.
+     * @param {string} name - Key into this.panels
+     */
+    showPanel(name) {
+        if (name === 'leaderboard') {
+            // Shows the board of the selected mode; for the daily challenge that's today's
+            const modeKey = this.registry.get('mode');
+            const rankBy = this.registry.get('leaderboardRanking') || DEFAULT_RANKING;
+            this.leaderboardTitle.setText(GameModes[modeKey].daily ? `${GameModes[modeKey].name} - Today` : GameModes[modeKey].name);
+            const lines = new Leaderboard(getLeaderboardKey(modeKey)).formatLines(null, rankBy);
+            this.leaderboardText.setText(lines.length > 0 ? lines.join('\n') : 'No scores yet');
+            this.rankingButton.setText(LEADERBOARD_RANKINGS[rankBy]);
+        }
+
+        Object.entries(this.panels).forEach(([key, items]) => {
+            items.forEach(item => item.setVisible(key === name));
+        });
+        this.activePanel = name;
+
+        if (name === 'replays') {
+            // Grey out the last-run buttons until a run has been played
+            const hasReplay = Boolean(this.registry.get('lastReplay'));
+            this.replayButtons.forEach(button => button.setAlpha(hasReplay ? 1 : 0.4));
+            this.replayStatusText.setText(hasReplay ? '' : 'Play a run to record a replay');
+        }
+    }
+
+    /**
+     * Switches the leaderboard page to the next ranking, score or distance.
+     */
+    toggleRanking() {
+        const rankBy = this.registry.get('leaderboardRanking') || DEFAULT_RANKING;
+        this.registry.set('leaderboardRanking', Leaderboard.nextRanking(rankBy));
+        this.showPanel('leaderboard');
+    }
+
+    /**
+     * Picks the mode the Play button starts and goes back to the main page.
+     * @param {string} modeKey - Key into GameModes
+     */
+    selectMode(modeKey) {
+        this.registry.set('mode', modeKey);
+        this.refreshModeButtons();
+        this.showPanel('main');
+    }
+
+    /**
+     * Marks the selected mode in the mode list.
+     */
+    refreshModeButtons() {
+        const selected = this.registry.get('mode');
+        Object.entries(this.modeButtons).forEach(([key, button]) => {
+            const name = GameModes[key].name;
+            button.setText(key === selected ? `> ${name} <` : name);
+        });
+    }
+
+    /**
+     * ENTER / SPACE start a run from the main page.
+     */
+    onConfirmKey() {
+        if (this.activePanel === 'main') {
+            this.startGame();
+        }
+    }
+
+    /**
+     * ESC returns to the main page from any other page.
+     */
+    onBackKey() {
+        if (this.activePanel !== 'main') {
+            this.showPanel('main');
+        }
+    }
+
+    /**
+     * Fades out and starts a run in the selected mode.
+     */
+    startGame() {
+        fadeToScene(this, 'GameScene', { mode: this.registry.get('mode') });
+    }
+
+    /**
+     * Starts playing back a replay in the game scene.
+     * @param {object} replayData - Replay in the saved file format
+     */
+    watchReplay(replayData) {
+        if (!replayData) return;
+        fadeToScene(this, 'GameScene', { replay: replayData });
+    }
+
+    /**
+     * Downloads the last run's replay.
+     */
+    exportLastReplay() {
+        const replayData = this.registry.get('lastReplay');
+        if (!replayData) return;
+        downloadReplay(Replay.fromJSON(replayData));
+    }
+
+    /**
+     * Lets the player open a replay file, then plays it.
+     */
+    importReplay() {
+        pickReplayFile()
+            .then(replay => {
+                if (replay) this.watchReplay(replay.toJSON());
+            })
+            .catch(error => {
+                console.warn('Failed to import replay:', error);
+                this.replayStatusText.setText(`Couldn't open that replay: ${error.message}`);
+            });
+    }
+
+    /**
+     * Opens the settings overlay, returning here when it closes.
+     */
+    openSettings() {
+        this.scene.launch('SettingsScene', { audio: this.audio, returnTo: this.scene.key });
+        this.scene.sleep();
+    }
+
+    /**
+     * Releases the sample sound; the game scene builds its own audio.
+     */
+    shutdown() {
+        if (this.audio) this.audio.destroy();
+    }
+}
@@ -0,0 +1,151 @@
+/**
+ * MYOB Dash - Pause Scene
+ * Overlay shown while GameScene is paused, with a countdown before play resumes
+ */
+import { createTextButton } from '../ui/buttons.js';
+
+const COUNTDOWN_FROM = 3;
+
+export default class PauseScene extends Phaser.Scene {
+    constructor() {
+        super('PauseScene');
+
+        this.audio = null;          // GameScene's AudioManager, handed to settings
+        this.menuItems = [];        // Title, buttons and hint shown while paused
+        this.countdownText = null;
+        this.countdownTimer = null;
+    }
+
+    /**
+     * @param {{audio: AudioManager}} data - Audio manager of the paused game
+     */
+    init(data) {
+        this.audio = data.audio;
+        this.countdownTimer = null;
+    }
+
+    create() {
+        const { width, height } = this.scale;
+
+        this.add.rectangle(0, 0, width, height, 0x000000, 0.6).setOrigin(0, 0);
+
+        const title = this.add.text(width / 2, 90, 'Paused', { fontSize: '48px', fill: '#ffffff', fontStyle: 'bold' }).setOrigin(0.5);
+        const hint = this.add.text(width / 2, height - 40, 'P / ESC to resume', { fontSize: '16px', fill: '#dddddd' }).setOrigin(0.5);
+
+        this.menuItems = [
+            title,
+            createTextButton(this, width / 2, 180, 'Resume', () => this.startCountdown()),
+            createTextButton(this, width / 2, 240, 'Restart', () => this.restartRun()),
+            createTextButton(this, width / 2, 300, 'Settings', () => this.openSettings()),
+            hint
+        ];
+
+        this.countdownText = this.add.text(width / 2, height / 2, '', {
+            fontSize: '96px', fill: '#f8b200', fontStyle: 'bold', stroke: '#000', strokeThickness: 6
+        }).setOrigin(0.5).setVisible(false);
+
+        this.input.keyboard.on('keydown-P', this.toggleCountdown, this);
+        this.input.keyboard.on('keydown-ESC', this.toggleCountdown, this);
+
+        // Leaving the tab mid-countdown goes back to the menu instead of resuming unseen
+        this.game.events.on(Phaser.Core.Events.HIDDEN, this.cancelCountdown, this);
+        this.game.events.on(Phaser.Core.Events.BLUR, this.cancelCountdown, this);
+        this.events.once('shutdown', this.shutdown, this);
+    }
+
+    /**
+     * Starts the countdown, or cancels it if one is already running.
+     */
+    toggleCountdown() {
+        if (this.countdownTimer) {
+            this.cancelCountdown();
+        } else {
+            this.startCountdown();
+        }
+    }
+
+    /**
+     * Hides the menu and counts down 3-2-1 before resuming the game.
+     */
+    startCountdown() {
+        if (this.countdownTimer) return;
+
+        this.menuItems.forEach(item => item.setVisible(false));
+        let remaining = COUNTDOWN_FROM;
+        this.showCountdownNumber(remaining);
+
+        this.countdownTimer = this.time.addEvent({
+            delay: 1000,
+            repeat: COUNTDOWN_FROM - 1,
+            callback: () => {
+                remaining--;
+                if (remaining > 0) {
+                    this.showCountdownNumber(remaining);
+                } else {
+                    this.resumeGame();
+                }
+            }
+        });
+    }
+
+    /**
+     * Pops a countdown number onto the screen.
+     */
+    showCountdownNumber(number) {
+        this.countdownText.setText(String(number)).setVisible(true).setScale(1.5).setAlpha(1);
+        this.tweens.add({
+            targets: this.countdownText,
+            scale: 1,
+            alpha: 0.6,
+            duration: 900,
+            ease: 'Cubic.easeOut'
+        });
+    }
+
+    /**
+     * Stops a running countdown and shows the menu again.
+     */
+    cancelCountdown() {
+        if (!this.countdownTimer) return;
+
+        this.countdownTimer.remove(false);
+        this.countdownTimer = null;
+        this.tweens.killTweensOf(this.countdownText);
+        this.countdownText.setVisible(false);
+        this.menuItems.forEach(item => item.setVisible(true));
+    }
+
+    /**
+     * Resumes the game and closes the overlay.
+     */
+    resumeGame() {
+        this.countdownTimer = null;
+        this.scene.resume('GameScene');
+        this.scene.stop();
+    }
+
+    /**
+     * Abandons the current run and starts a fresh one.
+     */
+    restartRun() {
+        const gameScene = this.scene.get('GameScene');
+        this.scene.stop();
+        gameScene.restartRun();
+    }
+
+    /**
+     * Opens the settings overlay, returning here when it closes.
+     */
+    openSettings() {
+        this.scene.launch('SettingsScene', { audio: this.audio, returnTo: this.scene.key });
+        this.scene.sleep();
+    }
+
+    /**
+     * Removes game-wide listeners, which outlive this scene.
+     */
+    shutdown() {
+        this.game.events.off(Phaser.Core.Events.HIDDEN, this.cancelCountdown, this);
+        this.game.events.off(Phaser.Core.Events.BLUR, this.cancelCountdown, this);
+    }
+}
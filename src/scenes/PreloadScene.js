@@ -0,0 +1,584 @@
+/**
+ * MYOB Dash - Preload Scene
+ * Loads and prepares every image once at startup (with fallbacks for missing files),
+ * then opens the title screen, or the editor with `?editor=1`
+ */
+import Constants from '../config/constants.js';
+import { TEXTURE_KEYS } from '../config/sprites.js';
+import { getUrlParam } from '../utils/urlParams.js';
+
+export default class PreloadScene extends Phaser.Scene {
+    constructor() {
+        super('PreloadScene');
+    }
+
+    /**
+     * Preloads game assets (images, spritesheets, particle textures).
+     */
+    preload() {
+        this.load.setBaseURL('assets/');
+
+        // Define what background colors to make transparent for each asset
+        this.transparentColors = {
+            'player_sheet': 0x0000ff, // Blue background
+            'enemy': 0xffffff,         // White background
+            'coin': 0xffffff,          // White background
+            [TEXTURE_KEYS.flyingEnemy]: 0xffffff // White background
+            // 'pit': 0x1a1a1a // Removed
+        };
+
+        // Define possible filename variations to try for each asset
+        const filenameVariations = {
+            'enemy': ['taxman.png', 'enemy.png', 'taxman', 'enemy'],
+            'coin': ['coin.png', 'coin'],
+            [TEXTURE_KEYS.flyingEnemy]: ['tax_drone.png', 'tax_drone', 'flying_enemy.png', 'flying_enemy'],
+            [TEXTURE_KEYS.auditBot]: ['audit_bot.png', 'audit_bot'],
+            'background': ['background.png', 'background'],
+            'background_far': ['mountains.png', 'background_far.png', 'parallax_bg_1.png'],
+            'background_mid': ['hills.png', 'background_mid.png', 'parallax_bg_2.png'],
+            [TEXTURE_KEYS.particle]: ['particle.png', 'particle']
+            // 'pit': ['pit.png', 'pit'] // Removed
+        };
+
+        // Try to load assets with fallbacks
+        Object.entries(filenameVariations).forEach(([key, variations]) => {
+            // Try each variation in order until one loads
+            this.loadWithFallbacks(key, variations);
+        });
+
+        // Load player spritesheet with variations
+        const sheetVariations = ['player_sheet.png', 'player_sheet', 'player.png', 'player'];
+
+        // Try to detect optimal frame size for first available spritesheet
+        for (const variation of sheetVariations) {
+            const img = new Image();
+            img.src = `assets/${variation}`;
+
+            // Use closure to keep the variation reference
+            ((imgPath) => {
+                img.onload = () => {
+                    // For player sheet, assume 6 frames horizontally
+                    const totalFrames = 6;
+                    const frameWidth = Math.floor(img.width / totalFrames);
+                    const frameHeight = img.height;
+
+                    console.log(`Detected frame dimensions: ${frameWidth}x${frameHeight} from ${img.width}x${img.height}`);
+
+                    // Now load the spritesheet with correct dimensions
+                    this.load.spritesheet('player_sheet', imgPath, {
+                        frameWidth,
+                        frameHeight
+                    });
+
+                    // Make sure preload doesn't finish until this asset loads
+                    if (!this.load.isLoading()) {
+                        this.load.start(); // Start loading if not already in progress
+                    }
+                };
+            })(variation);
+
+            // If the image loads successfully, stop trying other variations
+            if (img.complete && img.naturalWidth) {
+                break;
+            }
+        }
+
+        // Fallback: If no spritesheet was detected, use default dimensions
+        this.load.once('complete', () => {
+            if (!this.textures.exists('player_sheet')) {
+                console.warn('No player_sheet detected, using fallback with default dimensions');
+                this.load.spritesheet('player_sheet', 'player_sheet.png', {
+                    frameWidth: 102,
+                    frameHeight: 408
+                });
+                this.load.start();
+            }
+        });
+
+        // Process images after they're loaded to make backgrounds transparent
+        this.load.on('complete', () => {
+            // Apply transparency to all assets with defined transparent colors
+            Object.entries(this.transparentColors).forEach(([key, color]) => {
+                if (this.textures.exists(key)) {
+                    if (key === 'player_sheet') {
+                        // For spritesheets, handle differently since they need animation frames preserved
+                        this.removeSpritesheetBackground(key, color);
+                    } else {
+                        this.removeBackgroundColor(key, color);
+                    }
+                }
+            });
+        });
+
+        // Handle missing textures
+        this.load.once('complete', () => {
+            if (!this.textures.exists('player_sheet')) {
+                 console.warn("Spritesheet 'player_sheet.png' not found. Creating static placeholder 'player'.");
+                 this.ensureTextureExists('player', 32, 48, '007bff');
+            }
+            this.ensureTextureExists('coin', 24, 24, 'ffd700', true);
+            this.ensureTextureExists('enemy', 30, 40, 'dc3545');
+            this.ensureTextureExists(TEXTURE_KEYS.flyingEnemy, 35, 35, '888888'); // Grey placeholder for drone
+            this.ensureTextureExists(TEXTURE_KEYS.auditBot, 34, 30, '8e44ad'); // Purple placeholder for audit bot
+            this.ensureTextureExists(TEXTURE_KEYS.particle, 10, 10, 'ffff00', true); // Yellow particle placeholder
+            this.ensureTextureExists(TEXTURE_KEYS.shield, 48, 48, '00ccff', true); // Placeholder for shield visual
+            // this.ensureTextureExists('pit', 120, 32, '1a1a1a'); // Removed
+
+            // Create dynamic lava texture for pits
+            const lavaGfx = this.make.graphics({ x: 0, y: 0 }, false);
+            const lavaWidth = 128; // A base width for the texture, can be tiled or stretched
+            const lavaHeight = 32; // Should match platform height or desired pit depth visual
+
+            // Base lava color (dark red/orange)
+            lavaGfx.fillStyle(0xcc3300, 1);
+            lavaGfx.fillRect(0, 0, lavaWidth, lavaHeight);
+
+            // Add some lighter "hot spots" / "bubbles"
+            for (let i = 0; i < 20; i++) { // Increased bubble count
+                const x = Phaser.Math.Between(0, lavaWidth - 8); // Ensure bubbles are within bounds
+                const y = Phaser.Math.Between(3, lavaHeight - 8);
+                const radius = Phaser.Math.Between(2, 6); // Smaller, more numerous bubbles
+                const color = Phaser.Math.RND.pick([0xff6600, 0xff9933, 0xffcc00, 0xff3300]); // Oranges, yellows, dark red
+                lavaGfx.fillStyle(color, Phaser.Math.FloatBetween(0.6, 0.9)); // Varied alpha
+                lavaGfx.fillCircle(x + radius, y + radius, radius);
+            }
+            // Add some darker lines/streaks for variation
+            for (let i = 0; i < 5; i++) {
+              const x1 = Phaser.Math.Between(0, lavaWidth);
+              const y1 = Phaser.Math.Between(0, lavaHeight);
+              const x2 = x1 + Phaser.Math.Between(-30, 30);
+              const y2 = y1 + Phaser.Math.Between(-10, 10);
+              lavaGfx.lineStyle(Phaser.Math.Between(1,2), 0x990000, Phaser.Math.FloatBetween(0.3, 0.6));
+              lavaGfx.beginPath();
+              lavaGfx.moveTo(x1,y1);
+              lavaGfx.lineTo(x2,y2);
+              lavaGfx.strokePath();
+            }
+
+            lavaGfx.generateTexture(TEXTURE_KEYS.pit, lavaWidth, lavaHeight);
+            lavaGfx.destroy();
+
+            this.createPlatformTexture();
+            this.createRedTapeTexture();
+            this.createBossTextures();
+            this.createCurrencyTextures();
+        });
+    }
+
+    /**
+     * Draws the tiling texture for floating platforms: a stone ledge with a lighter top edge,
+     * so platforms read as something different from the ground.
+     */
+    createPlatformTexture() {
+        if (this.textures.exists(TEXTURE_KEYS.platform)) return;
+
+        const thickness = Constants.PLATFORM_THICKNESS;
+        const gfx = this.make.graphics({ x: 0, y: 0 }, false);
+        gfx.fillStyle(0x6d6875, 1);
+        gfx.fillRect(0, 0, 64, thickness);
+        gfx.fillStyle(0xb5b2c2, 1);
+        gfx.fillRect(0, 0, 64, 4);
+
+        // Block joints
+        gfx.fillStyle(0x4a4453, 1);
+        gfx.fillRect(0, thickness - 2, 64, 2);
+        gfx.fillRect(31, 4, 2, thickness - 6);
+        gfx.fillRect(63, 4, 1, thickness - 6);
+
+        gfx.generateTexture(TEXTURE_KEYS.platform, 64, thickness);
+        gfx.destroy();
+    }
+
+    /**
+     * Draws the tiling texture for red tape barriers: red with pale diagonal stripes, like
+     * barrier tape. It tiles vertically, since barriers hang down from the top of the screen.
+     */
+    createRedTapeTexture() {
+        if (this.textures.exists(TEXTURE_KEYS.redTape)) return;
+
+        const tapeWidth = Constants.RED_TAPE_WIDTH;
+        const gfx = this.make.graphics({ x: 0, y: 0 }, false);
+        gfx.fillStyle(0xc0392b, 1);
+        gfx.fillRect(0, 0, tapeWidth, 32);
+
+        gfx.lineStyle(5, 0xf5b7b1, 1);
+        for (let y = -tapeWidth; y < 32 + tapeWidth; y += 16) {
+            gfx.lineBetween(0, y, tapeWidth, y + tapeWidth);
+        }
+
+        // Darker edges so neighbouring strips read as separate tape
+        gfx.fillStyle(0x922b21, 1);
+        gfx.fillRect(0, 0, 2, 32);
+        gfx.fillRect(tapeWidth - 2, 0, 2, 32);
+
+        gfx.generateTexture(TEXTURE_KEYS.redTape, tapeWidth, 32);
+        gfx.destroy();
+    }
+
+    /**
+     * Draws the End of Financial Year boss: the tax office building, the paperwork it fires
+     * and the receipts that damage it.
+     */
+    createBossTextures() {
+        if (!this.textures.exists(TEXTURE_KEYS.taxOffice)) {
+            const officeWidth = 140;
+            const officeHeight = 240;
+            const gfx = this.make.graphics({ x: 0, y: 0 }, false);
+            gfx.fillStyle(0x34495e, 1);
+            gfx.fillRect(0, 0, officeWidth, officeHeight);
+            gfx.fillStyle(0x2c3e50, 1);
+            gfx.fillRect(0, 0, officeWidth, 34); // Sign band, labelled by the boss fight
+
+            // Rows of lit windows
+            gfx.fillStyle(0xf7dc6f, 1);
+            for (let y = 46; y < officeHeight - 60; y += 30) {
+                for (let x = 14; x < officeWidth - 20; x += 30) {
+                    gfx.fillRect(x, y, 18, 18);
+                }
+            }
+
+            // Door the paperwork comes out of
+            gfx.fillStyle(0x1b2631, 1);
+            gfx.fillRect(0, officeHeight - 50, 34, 50);
+            gfx.lineStyle(3, 0x1b2631, 1);
+            gfx.strokeRect(1, 1, officeWidth - 2, officeHeight - 2);
+
+            gfx.generateTexture(TEXTURE_KEYS.taxOffice, officeWidth, officeHeight);
+            gfx.destroy();
+        }
+
+        if (!this.textures.exists(TEXTURE_KEYS.paperwork)) {
+            const gfx = this.make.graphics({ x: 0, y: 0 }, false);
+            gfx.fillStyle(0xfdfefe, 1);
+            gfx.fillRect(0, 0, 24, 14);
+            gfx.fillStyle(0x7f8c8d, 1);
+            gfx.fillRect(3, 3, 18, 2);
+            gfx.fillRect(3, 7, 14, 2);
+            gfx.fillRect(3, 11, 16, 1);
+            gfx.generateTexture(TEXTURE_KEYS.paperwork, 24, 14);
+            gfx.destroy();
+        }
+
+        if (!this.textures.exists(TEXTURE_KEYS.receipt)) {
+            const gfx = this.make.graphics({ x: 0, y: 0 }, false);
+            gfx.fillStyle(0xeafaf1, 1);
+            gfx.fillRect(0, 0, 16, 22);
+            gfx.fillStyle(0x27ae60, 1);
+            gfx.fillRect(3, 3, 10, 3);
+            gfx.fillStyle(0x95a5a6, 1);
+            gfx.fillRect(3, 9, 10, 1);
+            gfx.fillRect(3, 12, 8, 1);
+            gfx.fillRect(3, 15, 10, 1);
+            gfx.generateTexture(TEXTURE_KEYS.receipt, 16, 22);
+            gfx.destroy();
+        }
+    }
+
+    /**
+     * Draws the rarer currencies that turn up among the coins: a gold bar and a refund token.
+     * Receipts use the boss fight's receipt texture.
+     */
+    createCurrencyTextures() {
+        if (!this.textures.exists(TEXTURE_KEYS.goldBar)) {
+            const gfx = this.make.graphics({ x: 0, y: 0 }, false);
+            gfx.fillStyle(0xb7950b, 1);
+            gfx.fillRect(0, 4, 32, 14);
+            gfx.fillStyle(0xf4d03f, 1);
+            gfx.fillRect(4, 0, 24, 14); // Bevelled top face
+            gfx.fillStyle(0xfcf3cf, 1);
+            gfx.fillRect(7, 3, 12, 2);  // Shine
+            gfx.generateTexture(TEXTURE_KEYS.goldBar, 32, 18);
+            gfx.destroy();
+        }
+
+        if (!this.textures.exists(TEXTURE_KEYS.refund)) {
+            const gfx = this.make.graphics({ x: 0, y: 0 }, false);
+            gfx.fillStyle(0x1e8449, 1);
+            gfx.fillCircle(12, 12, 12);
+            gfx.fillStyle(0x2ecc71, 1);
+            gfx.fillCircle(12, 12, 9);
+
+            // Arrow curling back round, for money coming back
+            gfx.lineStyle(3, 0xffffff, 1);
+            gfx.beginPath();
+            gfx.arc(12, 12, 5, Phaser.Math.DegToRad(-60), Phaser.Math.DegToRad(200));
+            gfx.strokePath();
+            gfx.fillStyle(0xffffff, 1);
+            gfx.fillTriangle(13, 3, 19, 7, 13, 10);
+
+            gfx.generateTexture(TEXTURE_KEYS.refund, 24, 24);
+            gfx.destroy();
+        }
+    }
+
+    /**
+     * Opens the title screen, or the editor when the page was opened with `?editor=1`.
+     */
+    create() {
+        const firstScene = getUrlParam('editor') === '1' ? 'EditorScene' : 'MenuScene';
+
+        // The player spritesheet fallback may have started a second load; wait for it
+        if (this.load.isLoading()) {
+            this.load.once('complete', () => this.scene.start(firstScene));
+        } else {
+            this.scene.start(firstScene);
+        }
+    }
+
+    /**
+     * Attempts to load an asset using multiple filename variations.
+     * @param {string} key - The texture key to assign
+     * @param {Array<string>} variations - Array of filename variations to try
+     * @returns {boolean} - Whether loading succeeded
+     */
+    loadWithFallbacks(key, variations) {
+        for (const filename of variations) {
+            try {
+                this.load.image(key, filename);
+                return true;
+            } catch (e) {
+            }
+        }
+        console.warn(`Could not load ${key} from any variation`);
+        return false;
+    }
+
+    /**
+     * Removes a background color from a texture by recreating it with transparency.
+     * @param {string} textureKey - The key of the texture to process
+     * @param {number} colorValue - The hex color value to make transparent
+     * @note It is generally better to pre-process assets to have transparent backgrounds.
+     */
+    removeBackgroundColor(textureKey, colorValue) {
+        try {
+            // Get the original texture
+            const texture = this.textures.get(textureKey);
+            if (!texture) return false;
+
+            // Convert hex to RGB
+            const r = (colorValue >> 16) & 0xFF;
+            const g = (colorValue >> 8) & 0xFF;
+            const b = colorValue & 0xFF;
+
+            // Create a canvas to process the image
+            const source = texture.getSourceImage();
+            if (!source) return false;
+
+            // Create a canvas to draw and process the image
+            const canvas = document.createElement('canvas');
+            canvas.width = source.width;
+            canvas.height = source.height;
+
+            const ctx = canvas.getContext('2d');
+            ctx.drawImage(source, 0, 0);
+
+            // Get the image data from the canvas
+            const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+            const data = imageData.data;
+
+            // Replace background color with transparency
+            for (let i = 0; i < data.length; i += 4) {
+                // Check if this pixel is close to the target color (with tolerance)
+                const isBackground =
+                    Math.abs(data[i] - r) < 30 &&
+                    Math.abs(data[i+1] - g) < 30 &&
+                    Math.abs(data[i+2] - b) < 30;
+
+                if (isBackground) {
+                    data[i+3] = 0; // Set alpha to transparent
+                }
+            }
+
+            // Put the processed image data back on the canvas
+            ctx.putImageData(imageData, 0, 0);
+
+            // Create a new texture from the processed canvas
+            const newTexture = this.textures.addCanvas(`${textureKey}_transparent`, canvas);
+
+            // Now update all sprites that use this texture to use the new one
+            this.children.each(child => {
+                if (child.texture && child.texture.key === textureKey) {
+                    child.setTexture(`${textureKey}_transparent`);
+                }
+            });
+
+            return true;
+        } catch (error) {
+            console.warn(`Failed to remove background color for ${textureKey}:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Creates a simple colored texture if a texture key doesn't exist.
+     */
+    ensureTextureExists(key, width, height, colorHex, circle = false) {
+        if (!this.textures.exists(key)) {
+            console.warn(`Creating placeholder for missing texture: ${key}`);
+
+            const gfx = this.make.graphics({ x: 0, y: 0 }, false);
+            gfx.fillStyle(parseInt(colorHex, 16), 1);
+            if (circle) {
+                gfx.fillCircle(width / 2, height / 2, Math.min(width, height) / 2);
+            } else {
+                gfx.fillRect(0, 0, width, height);
+
+                // Add texture pattern to make placeholder more visible
+                const darkColor = Phaser.Display.Color.ValueToColor(parseInt(colorHex, 16)).darken(30).color;
+                gfx.lineStyle(2, darkColor);
+                gfx.strokeRect(2, 2, width-4, height-4);
+
+                // Add an X to show it's a placeholder
+                gfx.beginPath();
+                gfx.moveTo(4, 4);
+                gfx.lineTo(width-4, height-4);
+                gfx.moveTo(width-4, 4);
+                gfx.lineTo(4, height-4);
+                gfx.strokePath();
+            }
+            gfx.generateTexture(key, width, height);
+            gfx.destroy();
+
+            // If this is an enemy, try to load directly from the assets folder
+            if (key === 'enemy') {
+                // Create a direct image element for the enemy
+                const img = new Image();
+                img.crossOrigin = "Anonymous";
+                img.src = 'assets/enemy.png';
+
+                img.onload = () => {
+                    console.log("Successfully loaded enemy directly!");
+                    this.textures.remove('enemy');
+                    this.textures.addImage('enemy', img);
+
+                    // Make white background transparent
+                    const canvas = document.createElement('canvas');
+                    canvas.width = img.width;
+                    canvas.height = img.height;
+                    const ctx = canvas.getContext('2d');
+                    ctx.drawImage(img, 0, 0);
+
+                    // Replace white pixels with transparency
+                    const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+                    const data = imageData.data;
+                    for (let i = 0; i < data.length; i += 4) {
+                        // If pixel is white or very light, make transparent
+                        if (data[i] > 240 && data[i+1] > 240 && data[i+2] > 240) {
+                            data[i+3] = 0; // Set transparent
+                        }
+                    }
+
+                    ctx.putImageData(imageData, 0, 0);
+                    this.textures.remove('enemy');
+                    this.textures.addCanvas('enemy', canvas);
+                };
+
+                img.onerror = () => {
+                    console.error("Failed to load enemy directly");
+                };
+            }
+        }
+    }
+
+    /**
+     * Removes background color from a spritesheet while preserving animation frames.
+     * @param {string} key - The key of the spritesheet
+     * @param {number} colorValue - The hex color value to make transparent
+     * @note It is generally better to pre-process assets to have transparent backgrounds.
+     */
+    removeSpritesheetBackground(key, colorValue) {
+        try {
+            // Get original texture
+            const texture = this.textures.get(key);
+            if (!texture) return false;
+
+            // Get source dimensions to calculate proper frame size
+            const source = texture.getSourceImage();
+            if (!source) return false;
+
+            // Calculate frame size based on image dimensions and expected frame count
+            // For player sheet, assume 6 frames horizontally, 1 frame vertically
+            const totalFrames = 6; // Expected number of frames
+            const calculatedFrameWidth = Math.floor(source.width / totalFrames);
+            const calculatedFrameHeight = source.height;
+
+            console.log(`Spritesheet dimensions: ${source.width}x${source.height}`);
+
+            // Convert hex to RGB
+            const r = (colorValue >> 16) & 0xFF;
+            const g = (colorValue >> 8) & 0xFF;
+            const b = colorValue & 0xFF;
+
+            // Create a canvas to process the spritesheet
+            const canvas = document.createElement('canvas');
+            canvas.width = source.width;
+            canvas.height = source.height;
+
+            const ctx = canvas.getContext('2d');
+            ctx.drawImage(source, 0, 0);
+
+            // Get image data for processing
+            const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+            const data = imageData.data;
+
+            // Process each pixel, making the background transparent
+            for (let i = 0; i < data.length; i += 4) {
+                // Check for background color with tolerance for compression artifacts
+                const isBackground =
+                    Math.abs(data[i] - r) < 30 &&
+                    Math.abs(data[i+1] - g) < 30 &&
+                    Math.abs(data[i+2] - b) < 30;
+
+                if (isBackground) {
+                    data[i+3] = 0; // Make transparent
+                }
+            }
+
+            // Update the canvas with processed data
+            ctx.putImageData(imageData, 0, 0);
+
+            // Create a new transparent spritesheet with same dimensions
+            const frameWidth = calculatedFrameWidth;  // Use dynamically calculated value
+            const frameHeight = calculatedFrameHeight; // Use dynamically calculated value
+
+            // Store original frame data
+            const frames = [];
+            texture.getFrameNames().forEach(frameName => {
+                const frame = texture.get(frameName);
+                if (frame) {
+                    frames.push({
+                        name: frameName,
+                        sourceIndex: frame.sourceIndex,
+                        cutX: frame.cutX,
+                        cutY: frame.cutY,
+                        cutWidth: frame.cutWidth,
+                        cutHeight: frame.cutHeight
+                    });
+                }
+            });
+
+            // Remove old texture and add the new one
+            this.textures.remove(key);
+            const newTexture = this.textures.addCanvas(key, canvas);
+
+            // Restore frame data for animations
+            frames.forEach(frameData => {
+                newTexture.add(
+                    frameData.name,
+                    frameData.sourceIndex,
+                    frameData.cutX,
+                    frameData.cutY,
+                    frameData.cutWidth,
+                    frameData.cutHeight
+                );
+            });
+
+            // Player animations are created later by GameScene, so they pick up the new texture
+
+            return true;
+        } catch (error) {
+            console.warn(`Failed to remove background from spritesheet ${key}:`, error);
+            return false;
+        }
+    }
+}
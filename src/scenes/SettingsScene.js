@@ -0,0 +1,95 @@
+/**
+ * MYOB Dash - Settings Scene
+ * Overlay for audio settings, launched on top of the scene that opened it
+ */
+import { createTextButton } from '../ui/buttons.js';
+
+const VOLUME_STEP = 0.1;
+
+export default class SettingsScene extends Phaser.Scene {
+    constructor() {
+        super('SettingsScene');
+
+        this.audio = null;      // AudioManager of the scene that opened settings
+        this.returnTo = null;   // Scene key to wake when settings close
+        this.muteButton = null;
+        this.musicText = null;
+        this.sfxText = null;
+    }
+
+    /**
+     * @param {{audio: AudioManager, returnTo: string}} data - Audio manager to edit and the scene to return to
+     */
+    init(data) {
+        this.audio = data.audio;
+        this.returnTo = data.returnTo || null;
+    }
+
+    create() {
+        const { width, height } = this.scale;
+
+        this.add.rectangle(0, 0, width, height, 0x000000, 0.75).setOrigin(0, 0);
+        this.add.text(width / 2, 60, 'Settings', { fontSize: '40px', fill: '#ffffff', fontStyle: 'bold' }).setOrigin(0.5);
+
+        const labelStyle = { fontSize: '22px', fill: '#ffffff', fontStyle: 'bold' };
+        const smallButton = { fontSize: '22px', padding: { x: 12, y: 4 } };
+
+        // --- Mute ---
+        this.muteButton = createTextButton(this, width / 2, 140, '', () => {
+            this.audio.toggleMute();
+            this.refreshLabels();
+        });
+
+        // --- Music Volume ---
+        this.musicText = this.add.text(width / 2, 210, '', labelStyle).setOrigin(0.5);
+        createTextButton(this, width / 2 - 150, 210, '-', () => this.changeMusicVolume(-VOLUME_STEP), smallButton);
+        createTextButton(this, width / 2 + 150, 210, '+', () => this.changeMusicVolume(VOLUME_STEP), smallButton);
+
+        // --- SFX Volume ---
+        this.sfxText = this.add.text(width / 2, 270, '', labelStyle).setOrigin(0.5);
+        createTextButton(this, width / 2 - 150, 270, '-', () => this.changeSfxVolume(-VOLUME_STEP), smallButton);
+        createTextButton(this, width / 2 + 150, 270, '+', () => this.changeSfxVolume(VOLUME_STEP), smallButton);
+
+        createTextButton(this, width / 2, height - 70, 'Back', () => this.close());
+        this.input.keyboard.once('keydown-ESC', this.close, this);
+
+        this.refreshLabels();
+    }
+
+    /**
+     * Nudges the music volume up or down.
+     */
+    changeMusicVolume(step) {
+        this.audio.setMusicVolume(Math.round((this.audio.settings.musicVolume + step) * 10) / 10);
+        this.refreshLabels();
+    }
+
+    /**
+     * Nudges the sound effect volume up or down and plays a sample at the new level.
+     */
+    changeSfxVolume(step) {
+        this.audio.setSfxVolume(Math.round((this.audio.settings.sfxVolume + step) * 10) / 10);
+        this.audio.playSfx('coin');
+        this.refreshLabels();
+    }
+
+    /**
+     * Updates the button and label text to match the current settings.
+     */
+    refreshLabels() {
+        const { muted, musicVolume, sfxVolume } = this.audio.settings;
+        this.muteButton.setText(muted ? 'Sound: Off' : 'Sound: On');
+        this.musicText.setText(`Music: ${Math.round(musicVolume * 100)}%`);
+        this.sfxText.setText(`Effects: ${Math.round(sfxVolume * 100)}%`);
+    }
+
+    /**
+     * Closes settings and wakes the scene that opened them.
+     */
+    close() {
+        if (this.returnTo) {
+            this.scene.wake(this.returnTo);
+        }
+        this.scene.stop();
+    }
+}
@@ -0,0 +1,301 @@
+// --- Audio Settings ---
+const AUDIO_SETTINGS_STORAGE_KEY = 'myobDash.audio';
+const DEFAULT_AUDIO_SETTINGS = { muted: false, musicVolume: 0.5, sfxVolume: 0.8 };
+
+// --- Audio Files ---
+// Filenames to try for each audio key, in order, relative to assets/. Scenes queue the keys
+// they need with queueAudio(); a key loaded once stays in the shared audio cache.
+export const AUDIO_FILES = {
+    'jump': ['jump.mp3', 'jump.wav', 'jump.ogg'],
+    'doublejump': ['doublejump.mp3', 'doublejump.wav', 'double_jump.mp3'],
+    'coin': ['coin.mp3', 'coin.wav', 'coin_collect.mp3'],
+    'stomp': ['stomp.mp3', 'stomp.wav', 'squash.mp3'],
+    'bossHit': ['boss_hit.mp3', 'boss_hit.wav'],
+    'hit': ['hit.mp3', 'hit.wav', 'collision.mp3'],
+    'powerup': ['powerup.mp3', 'powerup.wav', 'power_up.mp3'], // Generic powerup sound for speed
+    'gameOver': ['gameover.mp3', 'game_over.mp3', 'lose.mp3'],
+    'music': ['music.mp3', 'background.mp3', 'bgm.mp3'],
+    'shieldActivate': ['shield_activate.mp3', 'shield_on.wav', 'powerup_shield.mp3', 'sfx_shield_up.wav'],
+    'shieldHit': ['shield_hit.mp3', 'shield_break.wav', 'sfx_shield_down.wav']
+};
+
+// --- Placeholder Sound Effects ---
+// Recipes for synthesizing sound effects that have no audio file. Each recipe is a list of
+// notes played back to back; a note sweeps from one frequency to another over its duration
+// and can mix in white noise for crunchier sounds.
+const SYNTH_SFX_RECIPES = {
+    jump: { volume: 0.3, notes: [{ wave: 'square', from: 320, to: 640, duration: 0.14 }] },
+    doublejump: { volume: 0.25, notes: [
+        { wave: 'square', from: 480, to: 960, duration: 0.08 },
+        { wave: 'square', from: 720, to: 1440, duration: 0.1 }
+    ] },
+    coin: { volume: 0.25, notes: [
+        { wave: 'square', from: 988, to: 988, duration: 0.06 },
+        { wave: 'square', from: 1319, to: 1319, duration: 0.2 }
+    ] },
+    stomp: { volume: 0.35, notes: [
+        { wave: 'square', from: 220, to: 110, duration: 0.06, noise: 0.3 },
+        { wave: 'square', from: 440, to: 880, duration: 0.12 }
+    ] },
+    bossHit: { volume: 0.4, notes: [
+        { wave: 'sawtooth', from: 160, to: 90, duration: 0.12, noise: 0.5 },
+        { wave: 'sawtooth', from: 120, to: 60, duration: 0.16, noise: 0.3 }
+    ] },
+    hit: { volume: 0.5, notes: [{ wave: 'triangle', from: 180, to: 40, duration: 0.3, noise: 0.6 }] },
+    powerup: { volume: 0.3, notes: [
+        { wave: 'triangle', from: 523, to: 523, duration: 0.07 },
+        { wave: 'triangle', from: 659, to: 659, duration: 0.07 },
+        { wave: 'triangle', from: 784, to: 784, duration: 0.07 },
+        { wave: 'triangle', from: 1047, to: 1047, duration: 0.2 }
+    ] },
+    shieldActivate: { volume: 0.35, notes: [
+        { wave: 'sine', from: 300, to: 900, duration: 0.25 },
+        { wave: 'sine', from: 900, to: 1200, duration: 0.15 }
+    ] },
+    shieldHit: { volume: 0.4, notes: [{ wave: 'triangle', from: 900, to: 200, duration: 0.22, noise: 0.4 }] },
+    gameOver: { volume: 0.3, notes: [
+        { wave: 'square', from: 392, to: 392, duration: 0.2 },
+        { wave: 'square', from: 330, to: 330, duration: 0.2 },
+        { wave: 'square', from: 262, to: 262, duration: 0.2 },
+        { wave: 'square', from: 196, to: 150, duration: 0.5 }
+    ] }
+};
+
+/**
+ * Owns the scene's sounds: queues audio files with filename fallbacks, builds the
+ * sound objects after loading, loops the music and applies the persisted mute and
+ * music/SFX volume settings. Missing audio files are skipped quietly.
+ */
+export default class AudioManager {
+  constructor(scene) {
+      this.scene = scene;
+      this.sounds = {};      // SFX keyed by audio key, null when the file is missing
+      this.music = null;
+      this.settings = { ...DEFAULT_AUDIO_SETTINGS };
+      this.loadSettings();
+  }
+
+  /**
+   * Queues audio for loading, moving on to the next filename variation whenever one fails.
+   * Load failures are asynchronous, so they are handled from the loader's error event.
+   * @param {Object<string, Array<string>>} audioFiles - Filename variations keyed by audio key
+   */
+  queueAudio(audioFiles) {
+      const loader = this.scene.load;
+      const attempts = {};
+
+      const tryNextVariation = (key) => {
+          attempts[key] = attempts[key] === undefined ? 0 : attempts[key] + 1;
+          const variation = audioFiles[key][attempts[key]];
+          if (variation) {
+              loader.audio(key, variation);
+          } else {
+              console.warn(`No audio file found for '${key}', it will be silent`);
+          }
+      };
+
+      const onFileError = (file) => {
+          if (file.type === 'audio' && audioFiles[file.key]) {
+              tryNextVariation(file.key);
+          }
+      };
+
+      loader.on(Phaser.Loader.Events.FILE_LOAD_ERROR, onFileError);
+      loader.once(Phaser.Loader.Events.COMPLETE, () => {
+          loader.off(Phaser.Loader.Events.FILE_LOAD_ERROR, onFileError);
+      });
+
+      Object.keys(audioFiles).forEach(tryNextVariation);
+  }
+
+  /**
+   * Synthesizes a placeholder sound effect with the WebAudio API if the key has no audio file.
+   * The generated buffer goes into the audio cache, so it plays like any loaded sound.
+   * @param {string} key - SFX key with a recipe in SYNTH_SFX_RECIPES
+   */
+  ensureSoundExists(key) {
+      const context = this.scene.sound.context; // Only the WebAudio sound manager has one
+      if (this.scene.cache.audio.exists(key) || !context || !SYNTH_SFX_RECIPES[key]) return;
+
+      console.warn(`Creating placeholder for missing sound: ${key}`);
+      this.scene.cache.audio.add(key, this.synthesizeBuffer(context, SYNTH_SFX_RECIPES[key]));
+  }
+
+  /**
+   * Renders a recipe into an AudioBuffer, one sample at a time.
+   * @param {AudioContext} context - The WebAudio context to create the buffer with
+   * @param {{volume: number, notes: Array}} recipe - Sound recipe
+   * @returns {AudioBuffer} - Mono buffer holding the rendered sound
+   */
+  synthesizeBuffer(context, recipe) {
+      const sampleRate = context.sampleRate;
+      const totalDuration = recipe.notes.reduce((sum, note) => sum + note.duration, 0);
+      const buffer = context.createBuffer(1, Math.ceil(totalDuration * sampleRate), sampleRate);
+      const data = buffer.getChannelData(0);
+      const attack = 0.005; // Short fade in to avoid clicks
+
+      let offset = 0;
+      recipe.notes.forEach(note => {
+          const length = Math.floor(note.duration * sampleRate);
+          const noise = note.noise || 0;
+          let phase = 0;
+
+          for (let i = 0; i < length && offset + i < data.length; i++) {
+              const t = i / sampleRate;
+              const progress = i / length;
+              // Exponential sweep sounds even across octaves
+              const frequency = note.from * Math.pow(note.to / note.from, progress);
+              phase = (phase + frequency / sampleRate) % 1;
+
+              let sample;
+              switch (note.wave) {
+                  case 'square': sample = phase < 0.5 ? 1 : -1; break;
+                  case 'triangle': sample = 1 - 4 * Math.abs(phase - 0.5); break;
+                  default: sample = Math.sin(phase * Math.PI * 2);
+              }
+              sample = sample * (1 - noise) + (Math.random() * 2 - 1) * noise;
+
+              const envelope = Math.min(t / attack, 1) * (1 - progress);
+              data[offset + i] = sample * envelope * recipe.volume;
+          }
+          offset += length;
+      });
+
+      return buffer;
+  }
+
+  /**
+   * Builds sound objects for every key that made it into the audio cache.
+   * @param {Array<string>} keys - SFX keys to build
+   */
+  createSounds(keys) {
+      keys.forEach(key => {
+          this.sounds[key] = this.scene.cache.audio.exists(key) ? this.scene.sound.add(key) : null;
+      });
+      this.scene.sound.mute = this.settings.muted;
+  }
+
+  /**
+   * Plays a sound effect at the current SFX volume. Does nothing if the sound is missing.
+   * @param {string} key - SFX key
+   * @param {object} config - Optional Phaser sound config; volume is scaled by the SFX volume
+   */
+  playSfx(key, config = {}) {
+      const sound = this.sounds[key];
+      if (!sound) return;
+
+      const volume = (config.volume !== undefined ? config.volume : 1) * this.settings.sfxVolume;
+      sound.play({ ...config, volume });
+  }
+
+  /**
+   * Starts looping background music, waiting for the browser to unlock audio if needed.
+   * @param {string} key - Music key
+   */
+  playMusic(key) {
+      if (!this.scene.cache.audio.exists(key)) return;
+
+      if (!this.music) {
+          this.music = this.scene.sound.add(key, { loop: true, volume: this.settings.musicVolume });
+      }
+
+      if (this.scene.sound.locked) {
+          // Browsers block audio until the first user gesture
+          this.scene.sound.once(Phaser.Sound.Events.UNLOCKED, () => {
+              if (this.music && !this.music.isPlaying) this.music.play();
+          });
+      } else if (!this.music.isPlaying) {
+          this.music.play();
+      }
+  }
+
+  /**
+   * Pauses the music, e.g. while the game is paused.
+   */
+  pauseMusic() {
+      if (this.music && this.music.isPlaying) this.music.pause();
+  }
+
+  /**
+   * Resumes music paused by pauseMusic().
+   */
+  resumeMusic() {
+      if (this.music && this.music.isPaused) this.music.resume();
+  }
+
+  /**
+   * Toggles mute for all game audio and saves the choice.
+   * @returns {boolean} - Whether audio is now muted
+   */
+  toggleMute() {
+      this.setMuted(!this.settings.muted);
+      return this.settings.muted;
+  }
+
+  /**
+   * Mutes or unmutes all game audio and saves the choice.
+   * @param {boolean} muted - Whether audio should be muted
+   */
+  setMuted(muted) {
+      this.settings.muted = muted;
+      this.scene.sound.mute = muted;
+      this.saveSettings();
+  }
+
+  /**
+   * Sets the music volume (0-1) and saves it.
+   */
+  setMusicVolume(volume) {
+      this.settings.musicVolume = Phaser.Math.Clamp(volume, 0, 1);
+      if (this.music) this.music.setVolume(this.settings.musicVolume);
+      this.saveSettings();
+  }
+
+  /**
+   * Sets the sound effect volume (0-1) and saves it.
+   */
+  setSfxVolume(volume) {
+      this.settings.sfxVolume = Phaser.Math.Clamp(volume, 0, 1);
+      this.saveSettings();
+  }
+
+  /**
+   * Loads mute and volume settings from localStorage, keeping defaults for anything missing.
+   */
+  loadSettings() {
+      try {
+          const raw = window.localStorage.getItem(AUDIO_SETTINGS_STORAGE_KEY);
+          if (raw) {
+              this.settings = { ...DEFAULT_AUDIO_SETTINGS, ...JSON.parse(raw) };
+          }
+      } catch (e) {
+          console.warn('Failed to load audio settings, using defaults:', e);
+      }
+  }
+
+  /**
+   * Saves mute and volume settings to localStorage.
+   */
+  saveSettings() {
+      try {
+          window.localStorage.setItem(AUDIO_SETTINGS_STORAGE_KEY, JSON.stringify(this.settings));
+      } catch (e) {
+          console.warn('Failed to save audio settings:', e);
+      }
+  }
+
+  /**
+   * Stops and releases every sound this manager created.
+   */
+  destroy() {
+      Object.values(this.sounds).forEach(sound => {
+          if (sound) sound.destroy();
+      });
+      this.sounds = {};
+      if (this.music) {
+          this.music.stop();
+          this.music.destroy();
+          this.music = null;
+      }
+  }
+}
@@ -0,0 +1,374 @@
+/**
+ * MYOB Dash - Boss Fight
+ * The "End of Financial Year" encounter: a giant tax office parks on the right of the screen and
+ * fires telegraphed paperwork until stomps and filed receipts wear its health down.
+ * GameScene starts a fight at each score milestone and pauses its normal spawning until it's won.
+ */
+import Constants from '../config/constants.js';
+import { TEXTURE_KEYS } from '../config/sprites.js';
+
+// --- Attack Patterns ---
+// Each shot is fired `at` ms into the pattern, after its lane has been telegraphed. Low paperwork
+// has to be jumped, mid can be jumped or slid under, and high only hits a player in the air.
+// A minion shot sends a tax collector out of the door instead, which can be stomped for damage.
+const PATTERNS = {
+    low: [{ lane: 'low', at: 0 }],
+    mid: [{ lane: 'mid', at: 0 }],
+    high: [{ lane: 'high', at: 0 }],
+    lowPair: [{ lane: 'low', at: 0 }, { lane: 'low', at: 1000 }],
+    midTrio: [{ lane: 'mid', at: 0 }, { lane: 'mid', at: 300 }, { lane: 'mid', at: 600 }],
+    lowThenMid: [{ lane: 'low', at: 0 }, { lane: 'mid', at: 1100 }],
+    minion: [{ lane: 'minion', at: 0 }]
+};
+
+// Height of each lane's centre above the ground, in pixels
+const LANE_HEIGHTS = { low: 12, mid: 36, high: 90 };
+
+// Entered as the office's health drops to each share of its maximum
+const PHASES = [
+    { name: 'Lodgement', healthShare: 1, attackDelay: 1800, telegraph: 900, paperSpeed: 260,
+        patterns: ['low', 'mid', 'high', 'minion'] },
+    { name: 'Audit', healthShare: 2 / 3, attackDelay: 1500, telegraph: 700, paperSpeed: 320,
+        patterns: ['low', 'mid', 'high', 'lowPair', 'midTrio', 'minion'] },
+    { name: 'Final Notice', healthShare: 1 / 3, attackDelay: 1200, telegraph: 550, paperSpeed: 380,
+        patterns: ['lowPair', 'midTrio', 'lowThenMid', 'high', 'minion'] }
+];
+
+const HEALTH_BAR_WIDTH = 300;
+const HEALTH_BAR_HEIGHT = 12;
+const HEALTH_BAR_Y = 100;
+
+/**
+ * One fight against the tax office. It waits for the obstacles already on the course to pass,
+ * drives in, then attacks until its health runs out and it calls GameScene.finishBossFight().
+ * Randomness comes from the scene's seeded generator and timing from its clock, so replays
+ * play the fight out the same way.
+ */
+export default class BossFight {
+  /**
+   * @param {Phaser.Scene} scene - The GameScene the fight takes place in
+   */
+  constructor(scene) {
+      this.scene = scene;
+      this.maxHealth = Constants.BOSS_HEALTH;
+      this.health = this.maxHealth;
+      this.phase = 0;
+      this.started = false;   // False until the course has cleared and the office drives in
+      this.defeated = false;
+      // Distance at which the last chunk placed has scrolled past the player
+      this.startDistance = scene.nextChunkDistance + scene.scale.width + Constants.CHUNK_SPAWN_MARGIN - scene.player.x;
+
+      this.office = null;
+      this.officeLabel = null;
+      this.healthBar = null;
+      this.healthText = null;
+      this.timers = [];       // Pending attacks, shots and receipt drops
+      this.telegraphs = [];   // Lane markers still flashing
+
+      this.paperwork = scene.physics.add.group({ allowGravity: false, immovable: true });
+      this.receipts = scene.physics.add.group({ allowGravity: false, immovable: true });
+      this.colliders = [
+          scene.physics.add.overlap(scene.player, this.paperwork, this.hitPaperwork, () => scene.canBeHit(), this),
+          scene.physics.add.overlap(scene.player, this.receipts, this.collectReceipt, null, this)
+      ];
+  }
+
+  /**
+   * Left edge of the office, where paperwork, receipts and minions come out.
+   */
+  get doorX() {
+      return this.office.x - this.office.displayWidth / 2;
+  }
+
+  /**
+   * Advances the fight by one frame.
+   * @param {number} displacement - Horizontal scroll this frame, in pixels
+   * @param {number} deltaSeconds - Frame time in seconds
+   */
+  update(displacement, deltaSeconds) {
+      if (!this.started) {
+          if (this.scene.distanceTravelled >= this.startDistance) this.start();
+          return;
+      }
+
+      // Paperwork flies at its own speed so its timing doesn't depend on the scroll speed
+      this.paperwork.children.each(paper => {
+          if (!paper.active) return;
+          paper.x -= paper.getData('speed') * deltaSeconds;
+          paper.angle -= 360 * deltaSeconds;
+      });
+      this.scene.moveGroupChildren(this.receipts, displacement);
+
+      this.scene.despawnOffscreenObjects(this.paperwork);
+      this.scene.despawnOffscreenObjects(this.receipts);
+  }
+
+  /**
+   * Drives the office in, shows its health bar and starts attacking once it's parked.
+   */
+  start() {
+      const scene = this.scene;
+      const { width } = scene.scale;
+      this.started = true;
+
+      this.office = scene.add.image(width + 100, scene.groundY, TEXTURE_KEYS.taxOffice)
+          .setOrigin(0.5, 1)
+          .setDepth(1.4);
+      this.officeLabel = scene.add.text(this.office.x, scene.groundY - this.office.displayHeight + 18, 'TAX OFFICE', {
+          fontSize: '16px', fill: '#f8b200', fontStyle: 'bold', stroke: '#000', strokeThickness: 3
+      }).setOrigin(0.5).setDepth(1.45);
+
+      this.healthText = scene.add.text(width / 2, HEALTH_BAR_Y - 4, '', {
+          fontSize: '16px', fill: '#ffffff', fontStyle: 'bold', stroke: '#000', strokeThickness: 3
+      }).setOrigin(0.5, 1).setScrollFactor(0).setDepth(10);
+      this.healthBar = scene.add.graphics().setScrollFactor(0).setDepth(10);
+      this.drawHealthBar();
+
+      this.showBanner('END OF FINANCIAL YEAR!', '#e74c3c');
+      scene.cameras.main.shake(400, 0.006);
+
+      scene.tweens.add({
+          targets: [this.office, this.officeLabel],
+          x: width - this.office.displayWidth / 2 - 10,
+          duration: 1200,
+          ease: 'Cubic.easeOut',
+          onComplete: () => {
+              if (this.defeated) return;
+              this.after(600, () => this.attack());
+              this.dropReceiptLater();
+          }
+      });
+  }
+
+  /**
+   * Fires a random pattern from the current phase, then queues the next attack.
+   */
+  attack() {
+      const phase = PHASES[this.phase];
+      const pattern = PATTERNS[this.scene.rng.pick(phase.patterns)];
+      pattern.forEach(shot => this.after(shot.at, () => this.fire(shot.lane)));
+
+      const lastShot = pattern[pattern.length - 1].at;
+      this.after(lastShot + phase.telegraph + phase.attackDelay, () => this.attack());
+  }
+
+  /**
+   * Telegraphs a lane with a flashing line, then launches paperwork along it.
+   * @param {string} lane - A key of LANE_HEIGHTS, or 'minion' to send out a tax collector
+   */
+  fire(lane) {
+      const scene = this.scene;
+      if (lane === 'minion') {
+          scene.spawnGroundEnemy(this.doorX - 20);
+          return;
+      }
+
+      const phase = PHASES[this.phase];
+      const y = scene.groundY - LANE_HEIGHTS[lane];
+      const marker = scene.add.rectangle(0, y, this.doorX, 4, 0xe74c3c, 0.7)
+          .setOrigin(0, 0.5)
+          .setDepth(9);
+      const flashTween = scene.tweens.add({ targets: marker, alpha: 0.15, duration: 110, yoyo: true, repeat: -1 });
+      this.telegraphs.push(marker);
+
+      this.after(phase.telegraph, () => {
+          flashTween.stop();
+          marker.destroy();
+          this.telegraphs = this.telegraphs.filter(other => other !== marker);
+          this.launchPaperwork(y, phase.paperSpeed);
+      });
+  }
+
+  /**
+   * Launches one sheet of paperwork from the door, reusing a pooled one if possible.
+   * @param {number} y - Screen y to fly along
+   * @param {number} speed - Pixels per second, relative to the screen
+   */
+  launchPaperwork(y, speed) {
+      const x = this.doorX;
+      const paper = this.paperwork.get(x, y, TEXTURE_KEYS.paperwork);
+      if (!paper) return; // Pool exhausted
+
+      this.scene.physics.world.enable(paper);
+      paper.body.enable = true;
+      paper.body.reset(x, y);
+      paper.setPosition(x, y).setAngle(0).setDepth(1.6);
+      paper.setActive(true).setVisible(true);
+      paper.body.setSize(paper.width - 4, paper.height - 4);
+      paper.setData('speed', speed);
+  }
+
+  /**
+   * Drops a receipt from the door every BOSS_RECEIPT_INTERVAL ms for the rest of the fight.
+   */
+  dropReceiptLater() {
+      this.after(Constants.BOSS_RECEIPT_INTERVAL, () => {
+          const x = this.doorX;
+          const y = this.scene.groundY - this.scene.rng.between(60, 120);
+          const receipt = this.receipts.get(x, y, TEXTURE_KEYS.receipt);
+          if (receipt) {
+              this.scene.physics.world.enable(receipt);
+              receipt.body.enable = true;
+              receipt.body.reset(x, y);
+              receipt.setPosition(x, y).setDepth(1.6);
+              receipt.setActive(true).setVisible(true);
+          }
+          this.dropReceiptLater();
+      });
+  }
+
+  /**
+   * Called when the player runs into paperwork. The sheet is used up either way, so a shield
+   * that takes the hit isn't broken again by the same sheet next frame.
+   */
+  hitPaperwork(player, paper) {
+      if (!paper.active) return;
+      this.paperwork.killAndHide(paper);
+      paper.body.enable = false;
+      this.scene.hitEnemy(player, paper);
+  }
+
+  /**
+   * Called when the player picks up a receipt: filing it damages the office.
+   */
+  collectReceipt(player, receipt) {
+      if (!receipt.active) return;
+      this.receipts.killAndHide(receipt);
+      receipt.body.enable = false;
+
+      this.scene.coinEmitter.explode(10, receipt.x, receipt.y);
+      this.scene.audio.playSfx('coin', { detune: -500 });
+      this.takeHit(Constants.BOSS_RECEIPT_DAMAGE);
+  }
+
+  /**
+   * Damages the office, moving to the next phase or defeating it as its health drops.
+   * @param {number} damage - Health to take off
+   */
+  takeHit(damage) {
+      if (!this.started || this.defeated) return;
+
+      this.health = Math.max(this.health - damage, 0);
+      this.drawHealthBar();
+      this.scene.audio.playSfx('bossHit');
+      this.scene.cameras.main.shake(120, 0.004);
+      this.office.setTintFill(0xffffff);
+      this.after(80, () => this.office.clearTint());
+
+      if (this.health === 0) {
+          this.defeat();
+          return;
+      }
+
+      const phase = PHASES.reduce((reached, candidate, index) =>
+          this.health <= this.maxHealth * candidate.healthShare ? index : reached, 0);
+      if (phase > this.phase) {
+          this.phase = phase;
+          this.drawHealthBar();
+          this.showBanner(PHASES[phase].name.toUpperCase(), '#f8b200');
+          this.scene.flashScreen(0xe74c3c, 0.4, 200);
+      }
+  }
+
+  /**
+   * Sinks the office and hands back to GameScene for the reward.
+   */
+  defeat() {
+      const scene = this.scene;
+      this.defeated = true;
+      this.stop();
+      this.office.clearTint(); // stop() cancelled the end of the hit flash
+      this.paperwork.children.each(paper => {
+          if (paper.active) {
+              this.paperwork.killAndHide(paper);
+              paper.body.enable = false;
+          }
+      });
+
+      this.showBanner('TAX RETURN FILED!', '#2ecc71');
+      scene.audio.playSfx('powerup');
+      scene.cameras.main.shake(800, 0.01);
+      scene.flashScreen(0xffffff, 0.6, 300);
+      scene.tweens.add({
+          targets: [this.office, this.officeLabel],
+          y: `+=${this.office.displayHeight}`,
+          alpha: 0,
+          duration: 1400,
+          ease: 'Quad.easeIn',
+          onComplete: () => scene.finishBossFight()
+      });
+  }
+
+  /**
+   * Shows a big announcement in the middle of the screen that fades away.
+   * @param {string} message - Text to show
+   * @param {string} color - CSS color of the text
+   */
+  showBanner(message, color) {
+      const { width, height } = this.scene.scale;
+      const banner = this.scene.add.text(width / 2, height * 0.42, message, {
+          fontSize: '36px', fill: color, fontStyle: 'bold', stroke: '#000', strokeThickness: 6
+      }).setOrigin(0.5).setScrollFactor(0).setDepth(10);
+
+      this.scene.tweens.add({
+          targets: banner,
+          alpha: 0,
+          delay: 1200,
+          duration: 400,
+          onComplete: () => banner.destroy()
+      });
+  }
+
+  /**
+   * Redraws the health bar and its label, which names the current phase.
+   */
+  drawHealthBar() {
+      const left = this.scene.scale.width / 2 - HEALTH_BAR_WIDTH / 2;
+      const fill = HEALTH_BAR_WIDTH * this.health / this.maxHealth;
+
+      this.healthBar.clear();
+      this.healthBar.fillStyle(0x000000, 0.5);
+      this.healthBar.fillRect(left, HEALTH_BAR_Y, HEALTH_BAR_WIDTH, HEALTH_BAR_HEIGHT);
+      this.healthBar.fillStyle(0xe74c3c, 1);
+      this.healthBar.fillRect(left, HEALTH_BAR_Y, fill, HEALTH_BAR_HEIGHT);
+      this.healthBar.lineStyle(2, 0xffffff, 1);
+      this.healthBar.strokeRect(left, HEALTH_BAR_Y, HEALTH_BAR_WIDTH, HEALTH_BAR_HEIGHT);
+      this.healthText.setText(`End of Financial Year - ${PHASES[this.phase].name}`);
+  }
+
+  /**
+   * Runs a callback on the scene's clock, keeping hold of it so stop() can cancel it.
+   * @param {number} delay - ms to wait
+   * @param {Function} callback - What to run
+   */
+  after(delay, callback) {
+      this.timers = this.timers.filter(timer => !timer.hasDispatched);
+      this.timers.push(this.scene.time.delayedCall(delay, callback));
+  }
+
+  /**
+   * Cancels every pending attack and receipt drop, e.g. when the run ends mid-fight.
+   */
+  stop() {
+      this.timers.forEach(timer => timer.remove(false));
+      this.timers = [];
+      this.telegraphs.forEach(marker => {
+          this.scene.tweens.killTweensOf(marker);
+          marker.destroy();
+      });
+      this.telegraphs = [];
+  }
+
+  /**
+   * Removes everything the fight added to the scene.
+   */
+  destroy() {
+      this.stop();
+      this.colliders.forEach(collider => collider.destroy());
+      this.paperwork.destroy(true);
+      this.receipts.destroy(true);
+      [this.office, this.officeLabel, this.healthBar, this.healthText].forEach(object => {
+          if (object) object.destroy();
+      });
+  }
+}
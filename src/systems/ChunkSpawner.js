@@ -0,0 +1,241 @@
+/**
+ * MYOB Dash - Chunk Spawner
+ * Library of hand-authored obstacle patterns ("chunks") and the rules for picking the next one.
+ * GameScene places the picked chunk's entries; this module only decides which chunk comes next,
+ * and with a JumpValidator, makes sure the player can get through it.
+ * Has no Phaser dependency, so it also runs under Node.
+ */
+import { COIN_FORMATIONS } from './CoinFormations.js';
+import { finishSteps } from './JumpValidator.js';
+
+// --- Chunk Format ---
+// A chunk is { id, tier, length, entries }. Entry x is pixels from the start of the chunk,
+// y is pixels above the ground (coins, drones, platform tops and enemies standing on a platform),
+// and pits and platforms also have a width. A coin entry may set count and spacing to lay a
+// horizontal row of coins, or a formation from CoinFormations.js, which GameScene lays out when the
+// chunk is placed since jump arcs depend on the scroll speed. An enemy may set patrol to walk that
+// many pixels right and back. Red tape hangs down to just above the ground at its x, so it only needs an x.
+export const CHUNK_ENTRY_TYPES = ['coin', 'enemy', 'enemy_flying', 'pit_lava', 'platform', 'red_tape'];
+
+// Chunks tried before giving up and leaving open ground for a while
+const MAX_PICKS_PER_PLACEMENT = 4;
+
+// Used when assets/data/chunks.json is missing or has no usable chunks
+const FALLBACK_CHUNKS = [
+    { id: 'fallback-collector', tier: 1, length: 300, entries: [{ type: 'enemy', x: 150 }, { type: 'coin', x: 110, y: 100, count: 3, spacing: 40 }] },
+    { id: 'fallback-pit', tier: 1, length: 300, entries: [{ type: 'pit_lava', x: 100, width: 100 }, { type: 'coin', x: 110, y: 90, count: 3, spacing: 40 }] }
+];
+
+export default class ChunkSpawner {
+    /**
+     * @param {{chunks: object[]}} library - Parsed chunk library, usually assets/data/chunks.json
+     * @param {?JumpValidator} validator - Checks each placement can be cleared; none places chunks as authored
+     */
+    constructor(library, validator = null) {
+        this.chunks = ChunkSpawner.parseLibrary(library);
+        if (this.chunks.length === 0) {
+            console.warn('No usable chunks in the chunk library, using the built-in fallback patterns');
+            this.chunks = ChunkSpawner.parseLibrary({ chunks: FALLBACK_CHUNKS });
+        }
+        this.maxTier = Math.max(...this.chunks.map(chunk => chunk.tier));
+        this.lastChunkId = null; // Not picked twice in a row when there's a choice
+        this.validator = validator;
+        this.previous = null;    // Last chunk placed, which the next one is checked against
+        this.plan = null;        // Placement being worked out a slice at a time, see startPlanning()
+        this.nudged = 0;         // Placements the validator had to space out
+        this.dropped = 0;        // Picks the validator couldn't make clearable
+    }
+
+    /**
+     * Checks a chunk library, dropping chunks that can't be placed and expanding coin rows.
+     * Coin formations are kept as one entry each.
+     * @param {{chunks: object[]}} library - Parsed chunk library
+     * @returns {object[]} - Usable chunks
+     */
+    static parseLibrary(library) {
+        if (!library || !Array.isArray(library.chunks)) return [];
+
+        const chunks = [];
+        library.chunks.forEach((chunk, index) => {
+            const valid = chunk && Number.isInteger(chunk.tier) && chunk.tier >= 1
+                && Number.isFinite(chunk.length) && chunk.length > 0 && Array.isArray(chunk.entries);
+            if (!valid) {
+                console.warn(`Skipping invalid chunk ${chunk && chunk.id ? chunk.id : index}`);
+                return;
+            }
+
+            const entries = [];
+            chunk.entries.forEach(entry => {
+                if (!entry || !CHUNK_ENTRY_TYPES.includes(entry.type) || !Number.isFinite(entry.x)) {
+                    console.warn(`Skipping invalid entry in chunk ${chunk.id || index}`);
+                    return;
+                }
+                if (entry.type === 'coin' && entry.formation !== undefined) {
+                    if (!COIN_FORMATIONS.includes(entry.formation)) {
+                        console.warn(`Skipping coin entry with unknown formation '${entry.formation}' in chunk ${chunk.id || index}`);
+                        return;
+                    }
+                    entries.push({
+                        type: entry.type,
+                        x: entry.x,
+                        y: entry.y || 0,
+                        width: 0,
+                        patrol: 0,
+                        formation: entry.formation,
+                        count: Number.isInteger(entry.count) ? Math.max(1, entry.count) : undefined,
+                        spacing: entry.spacing,
+                        rise: entry.rise,
+                        rows: entry.rows
+                    });
+                    return;
+                }
+                const count = entry.type === 'coin' && Number.isInteger(entry.count) ? Math.max(1, entry.count) : 1;
+                for (let i = 0; i < count; i++) {
+                    entries.push({
+                        type: entry.type,
+                        x: entry.x + i * (entry.spacing || 0),
+                        y: entry.y || 0,
+                        width: entry.width || 0,
+                        patrol: entry.patrol || 0
+                    });
+                }
+            });
+
+            chunks.push({ id: chunk.id || `chunk-${index}`, tier: chunk.tier, length: chunk.length, entries });
+        });
+        return chunks;
+    }
+
+    /**
+     * Maps difficulty progress to the highest chunk tier that may be picked.
+     * @param {number} progress - 0 at the start of a run, 1 at top speed
+     * @returns {number} - Tier, from 1 to the library's highest tier
+     */
+    getTierForProgress(progress) {
+        const clamped = Math.min(Math.max(progress, 0), 1);
+        return Math.min(this.maxTier, 1 + Math.floor(clamped * this.maxTier));
+    }
+
+    /**
+     * Picks the next chunk: one from the current tier or the tier below, so easier patterns
+     * still turn up as the run speeds up.
+     * @param {number} tier - Highest tier allowed, from getTierForProgress()
+     * @param {SeededRandom} rng - The run's random number generator
+     * @returns {object} - The chunk to place
+     */
+    pickChunk(tier, rng) {
+        let candidates = this.chunks.filter(chunk => chunk.tier <= tier && chunk.tier >= tier - 1);
+        if (candidates.length === 0) {
+            candidates = this.chunks.filter(chunk => chunk.tier <= tier);
+        }
+        if (candidates.length === 0) {
+            candidates = this.chunks;
+        }
+        if (candidates.length > 1) {
+            candidates = candidates.filter(chunk => chunk.id !== this.lastChunkId);
+        }
+
+        const chunk = rng.pick(candidates);
+        this.lastChunkId = chunk.id;
+        return chunk;
+    }
+
+    /**
+     * Places a chunk exactly as authored, e.g. a segment from the editor, after the previous one.
+     * @param {object} chunk - Chunk to place
+     * @param {number} gap - Open ground to leave before it, in pixels
+     * @returns {{chunk: object, gap: number}} - Same shape as nextPlacement()
+     */
+    placeAsAuthored(chunk, gap) {
+        this.previous = chunk;
+        this.lastChunkId = chunk.id;
+        return { chunk, gap };
+    }
+
+    /**
+     * Picks and checks the next chunk to place after the previous one. Chunks that can't be
+     * cleared at this speed are spaced out, or dropped for another pick.
+     * @param {number} tier - Highest tier allowed, from getTierForProgress()
+     * @param {SeededRandom} rng - The run's random number generator
+     * @param {number} scrollSpeed - Scroll speed in pixels per second
+     * @param {number} gap - Open ground wanted before the chunk, in pixels
+     * @returns {{chunk: object, gap: number}} - Chunk to place and the open ground to leave before it
+     */
+    nextPlacement(tier, rng, scrollSpeed, gap) {
+        return finishSteps(this.placementSteps(tier, rng, scrollSpeed, gap));
+    }
+
+    /**
+     * Starts working out the next placement, like nextPlacement(), but a slice at a time with
+     * keepPlanning(), so a long jump search can be spread over the frames before the chunk is due.
+     * Replaces any plan still in progress.
+     * @param {number} tier - Highest tier allowed, from getTierForProgress()
+     * @param {SeededRandom} rng - The run's random number generator
+     * @param {number} scrollSpeed - Scroll speed in pixels per second
+     * @param {number} gap - Open ground wanted before the chunk, in pixels
+     */
+    startPlanning(tier, rng, scrollSpeed, gap) {
+        this.plan = { steps: this.placementSteps(tier, rng, scrollSpeed, gap), placement: null };
+    }
+
+    /**
+     * Works on the plan until it's done or has searched about maxStates jump states. Slices are
+     * measured in search states rather than time, so replays plan (and draw random numbers) on the same frames.
+     * @param {number} maxStates - Search states to try at most, give or take a search frame
+     * @returns {boolean} - Whether the plan is done
+     */
+    keepPlanning(maxStates) {
+        if (!this.plan) return false;
+
+        let searched = 0;
+        while (!this.plan.placement && searched < maxStates) {
+            const step = this.plan.steps.next();
+            if (step.done) {
+                this.plan.placement = step.value;
+            } else {
+                searched += step.value;
+            }
+        }
+        return this.plan.placement !== null;
+    }
+
+    /**
+     * Finishes the plan, all at once if it isn't done yet, and hands over its placement.
+     * @returns {{chunk: object, gap: number}} - Same shape as nextPlacement()
+     */
+    takePlannedPlacement() {
+        this.keepPlanning(Infinity);
+        const placement = this.plan.placement;
+        this.plan = null;
+        return placement;
+    }
+
+    /**
+     * nextPlacement() one jump search frame at a time, yielding the states searched in each.
+     * @param {number} tier - Highest tier allowed, from getTierForProgress()
+     * @param {SeededRandom} rng - The run's random number generator
+     * @param {number} scrollSpeed - Scroll speed in pixels per second
+     * @param {number} gap - Open ground wanted before the chunk, in pixels
+     * @returns {Generator<number, {chunk: object, gap: number}>}
+     */
+    *placementSteps(tier, rng, scrollSpeed, gap) {
+        for (let pick = 0; pick < MAX_PICKS_PER_PLACEMENT; pick++) {
+            const chunk = this.pickChunk(tier, rng);
+            const placement = this.validator
+                ? yield* this.validator.fitSteps(this.previous, chunk, gap, scrollSpeed)
+                : { chunk, gap };
+
+            if (placement) {
+                if (placement.chunk !== chunk || placement.gap !== gap) this.nudged++;
+                this.previous = placement.chunk;
+                return placement;
+            }
+            this.dropped++;
+        }
+
+        // Nothing fits: leave a second of open ground so the next chunk starts from a clean slate
+        console.warn(`No clearable chunk found at scroll speed ${Math.round(scrollSpeed)}, leaving open ground`);
+        this.previous = null;
+        return { chunk: { id: 'open-ground', tier, length: Math.round(scrollSpeed), entries: [] }, gap };
+    }
+}
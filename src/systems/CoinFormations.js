@@ -0,0 +1,97 @@
+/**
+ * MYOB Dash - Coin Formations
+ * Lays out the coin formations a chunk's coin entries can ask for: rows, diagonals, clusters,
+ * and arcs that trace a single or double jump at the current scroll speed, so a player who
+ * follows one collects every coin in it.
+ * Has no Phaser dependency, so it also runs under Node.
+ */
+import Constants from '../config/constants.js';
+import { FIXED_STEP_MS } from './FixedTimestep.js';
+
+// --- Formation Format ---
+// A coin entry with a formation lays count coins out from its x and y, the first coin's position.
+// Rows, diagonals and clusters are spacing pixels apart; a diagonal also climbs rise pixels per
+// coin (negative to descend), and a cluster stacks rows coins in each column. Jump arcs take off
+// from the first coin and land back at its height, spread evenly over the time in the air, so a
+// y of about 20 runs them through the middle of a player jumping from the ground.
+export const COIN_FORMATIONS = ['row', 'diagonal', 'cluster', 'jump', 'doubleJump'];
+
+const DEFAULT_SPACING = 40;
+const DEFAULT_RISE = 30;
+const DEFAULT_CLUSTER_ROWS = 2;
+const DEFAULT_ARC_COINS = 8; // Enough for the 4x combo multiplier
+
+/**
+ * Works out where each coin of a coin entry goes.
+ * @param {{x: number, y: number, formation?: string, count?: number, spacing?: number, rise?: number, rows?: number}} entry - Coin entry from a chunk
+ * @param {number} scrollSpeed - Scroll speed in pixels per second, which sets how long jump arcs are
+ * @returns {Array<{x: number, y: number}>} - Coin positions, x along the chunk and y above the ground
+ */
+export function layOutCoins(entry, scrollSpeed) {
+    const spacing = entry.spacing || DEFAULT_SPACING;
+
+    switch (entry.formation) {
+        case 'row':
+            return range(entry.count || 1).map(i => ({ x: entry.x + i * spacing, y: entry.y }));
+        case 'diagonal': {
+            const rise = entry.rise ?? DEFAULT_RISE;
+            return range(entry.count || 1).map(i => ({ x: entry.x + i * spacing, y: entry.y + i * rise }));
+        }
+        case 'cluster': {
+            const rows = entry.rows || DEFAULT_CLUSTER_ROWS;
+            return range(entry.count || rows * rows).map(i => ({
+                x: entry.x + Math.floor(i / rows) * spacing,
+                y: entry.y + (i % rows) * spacing
+            }));
+        }
+        case 'jump':
+        case 'doubleJump': {
+            const path = traceJump(scrollSpeed, entry.formation === 'doubleJump');
+            const count = entry.count || DEFAULT_ARC_COINS;
+            return range(count).map(i => {
+                const point = path[Math.round(i * (path.length - 1) / Math.max(count - 1, 1))];
+                return { x: entry.x + point.x, y: entry.y + point.height };
+            });
+        }
+        default:
+            return [{ x: entry.x, y: entry.y }];
+    }
+}
+
+/**
+ * Plays out a full-height jump with the game's velocities and gravity, one fixed step at a time
+ * like the physics does. A double jump fires at the top of the first jump.
+ * @param {number} scrollSpeed - Scroll speed in pixels per second
+ * @param {boolean} doubleJump - Whether to double jump
+ * @returns {Array<{x: number, height: number}>} - The player's offset from take-off on every step, landing included
+ */
+function traceJump(scrollSpeed, doubleJump) {
+    const stepSeconds = FIXED_STEP_MS / 1000;
+    const gravity = (Constants.GRAVITY + Constants.PLAYER_GRAVITY_Y) * stepSeconds;
+
+    // Heights are measured up from take-off, so jump velocities are flipped to point up
+    let velocity = -Constants.JUMP_VELOCITY;
+    let doubleJumped = !doubleJump;
+    let x = 0;
+    let height = 0;
+    const path = [{ x, height }];
+    do {
+        if (!doubleJumped && velocity <= 0) {
+            velocity = -Constants.DOUBLE_JUMP_VELOCITY;
+            doubleJumped = true;
+        }
+        velocity -= gravity;
+        height = Math.max(height + velocity * stepSeconds, 0);
+        x += scrollSpeed * stepSeconds;
+        path.push({ x, height });
+    } while (height > 0);
+    return path;
+}
+
+/**
+ * @param {number} count - How many indices
+ * @returns {number[]} - 0 to count - 1
+ */
+function range(count) {
+    return Array.from({ length: count }, (_, i) => i);
+}
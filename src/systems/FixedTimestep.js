@@ -0,0 +1,48 @@
+/**
+ * MYOB Dash - Fixed Timestep
+ * Runs the simulation in fixed 60 Hz steps whatever the display refresh rate,
+ * so the same inputs on the same frames always play out the same way (replays depend on this).
+ */
+
+export const FIXED_STEP_MS = 1000 / 60;
+const MAX_STEPS_PER_FRAME = 5; // After a long stall, drop the backlog instead of fast-forwarding through it
+
+/**
+ * Replaces the game's step with one that advances in whole fixed steps.
+ * Only the last step of a browser frame renders. Call from the game config's `callbacks.postBoot`,
+ * which runs before Phaser binds the step to its loop.
+ * @param {Phaser.Game} game - The game to drive
+ */
+export function installFixedTimestep(game) {
+    const renderStep = game.step.bind(game);
+    let accumulator = 0;
+    let simulationTime = 0;
+
+    game.step = (time, delta) => {
+        accumulator += delta;
+        let steps = Math.floor(accumulator / FIXED_STEP_MS);
+        if (steps > MAX_STEPS_PER_FRAME) {
+            steps = MAX_STEPS_PER_FRAME;
+            accumulator = steps * FIXED_STEP_MS;
+        }
+        accumulator -= steps * FIXED_STEP_MS;
+
+        for (let i = 0; i < steps; i++) {
+            simulationTime += FIXED_STEP_MS;
+            if (i < steps - 1) {
+                game.headlessStep(simulationTime, FIXED_STEP_MS);
+            } else {
+                renderStep(simulationTime, FIXED_STEP_MS);
+            }
+        }
+    };
+}
+
+/**
+ * Makes a scene's tweens advance one fixed step per scene update. Phaser times tweens
+ * with the wall clock by default, which would let gameplay tweens drift between runs.
+ * @param {Phaser.Scene} scene - Scene whose tween manager to lock
+ */
+export function lockTweensToSimulation(scene) {
+    scene.tweens.getDelta = () => FIXED_STEP_MS;
+}
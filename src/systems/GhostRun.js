@@ -0,0 +1,91 @@
+/**
+ * MYOB Dash - Ghost Run
+ * Per-frame samples of the player's best ghost-mode run, persisted in localStorage,
+ * so later runs on the same course can race against it.
+ */
+
+// --- Ghost Save Format ---
+const GHOST_STORAGE_KEY = 'myobDash.ghost';
+const GHOST_SAVE_VERSION = 1;
+
+export default class GhostRun {
+    /**
+     * @param {number} seed - Seed of the course the run was played on
+     */
+    constructor(seed) {
+        this.seed = seed;
+        this.ys = [];        // Player y per frame, rounded to whole pixels
+        this.distances = []; // Distance travelled per frame, in whole pixels
+    }
+
+    /**
+     * Adds the player's position for the next frame.
+     * @param {number} y - Player y position
+     * @param {number} distance - Distance travelled so far, in pixels
+     */
+    addSample(y, distance) {
+        this.ys.push(Math.round(y));
+        this.distances.push(Math.round(distance));
+    }
+
+    /**
+     * Number of frames sampled.
+     */
+    get length() {
+        return this.ys.length;
+    }
+
+    /**
+     * Distance the run reached before it ended, in pixels.
+     */
+    get finalDistance() {
+        return this.distances.length > 0 ? this.distances[this.distances.length - 1] : 0;
+    }
+
+    /**
+     * Returns the sample for a frame, or null once the ghost's run has ended.
+     * @param {number} frame - Zero-based frame index
+     * @returns {{y: number, distance: number}|null}
+     */
+    getSample(frame) {
+        if (frame < 0 || frame >= this.ys.length) return null;
+        return { y: this.ys[frame], distance: this.distances[frame] };
+    }
+
+    /**
+     * Loads the saved ghost for a course.
+     * @param {number} seed - Seed of the course being played
+     * @returns {GhostRun|null} - The saved ghost, or null if there is none for this course
+     */
+    static load(seed) {
+        try {
+            const raw = window.localStorage.getItem(GHOST_STORAGE_KEY);
+            if (!raw) return null;
+
+            const data = JSON.parse(raw);
+            const valid = data && data.version === GHOST_SAVE_VERSION && data.seed === seed
+                && Array.isArray(data.ys) && Array.isArray(data.distances) && data.ys.length === data.distances.length;
+            if (!valid) return null; // Older format or a different course
+
+            const ghost = new GhostRun(seed);
+            ghost.ys = data.ys;
+            ghost.distances = data.distances;
+            return ghost;
+        } catch (e) {
+            console.warn('Failed to load ghost run:', e);
+            return null;
+        }
+    }
+
+    /**
+     * Writes this run to localStorage, replacing any saved ghost.
+     */
+    save() {
+        try {
+            const data = { version: GHOST_SAVE_VERSION, seed: this.seed, ys: this.ys, distances: this.distances };
+            window.localStorage.setItem(GHOST_STORAGE_KEY, JSON.stringify(data));
+        } catch (e) {
+            console.warn('Failed to save ghost run:', e);
+        }
+    }
+}
@@ -0,0 +1,320 @@
+/**
+ * MYOB Dash - Jump Validator
+ * Checks that an obstacle layout can be cleared with the game's real jump physics, by searching
+ * every jump and double-jump timing frame by frame, and nudges layouts that can't be.
+ * Floating platforms are landed on from above, like the game's one-way platforms, and the
+ * player is assumed to slide whenever it's on the ground, since a slide only ever dodges more.
+ * Jumps are always held to full height; cutting one short only adds ways through. Tax collectors
+ * are deadly from every side here, even though landing on one stomps it.
+ * Has no Phaser dependency, so it also runs under Node (see scripts/validate-chunks.js).
+ */
+import Constants from '../config/constants.js';
+import { FIXED_STEP_MS } from './FixedTimestep.js';
+
+// --- Hitboxes ---
+// Sizes in pixels of the arcade bodies GameScene gives each sprite, with heights measured
+// up from the top of the ground. Tax drones hover 15px below their spawn height, and tax
+// collectors on a platform are lifted by its height.
+const PLAYER_BOX = { width: 24 * 0.6, height: 48 * 0.85, slideHeight: 48 * Constants.SLIDE_HEIGHT_RATIO };
+const ENEMY_BOX = { width: 30 * 0.7, bottom: 6, top: 34 };
+const DRONE_BOX = { width: 35 * 0.7, height: 35 * 0.7, hover: 15 };
+
+// --- Search ---
+const SAFETY_MARGIN = 4;     // Pixels added around every obstacle, so near misses count as hits
+const DECISION_FRAMES = 2;   // Jumps are tried every this many frames; coarser is faster but stricter
+const GROUNDED = 1;          // Search state flags
+const DOUBLE_JUMPED = 2;
+
+// --- Nudging ---
+const EXTRA_GAPS = [0, 120, 240];  // More open ground before the chunk, tried first
+const STRETCHES = [1, 1.15, 1.3, 1.5]; // Spreads a chunk's entries further apart
+
+export default class JumpValidator {
+    /**
+     * @param {{gravity?: number, jumpVelocity?: number, doubleJumpVelocity?: number}} options - Physics overrides, the game's constants by default
+     */
+    constructor(options = {}) {
+        this.gravity = options.gravity ?? Constants.GRAVITY + Constants.PLAYER_GRAVITY_Y;
+        this.jumpVelocity = options.jumpVelocity ?? Constants.JUMP_VELOCITY;
+        this.doubleJumpVelocity = options.doubleJumpVelocity ?? Constants.DOUBLE_JUMP_VELOCITY;
+        this.stepSeconds = FIXED_STEP_MS / 1000;
+    }
+
+    /**
+     * Whether some timing of jumps and double jumps gets the player through a layout alive.
+     * The player starts on the ground, one full jump's length before the layout, and can stand
+     * on platforms as well as the ground.
+     * @param {object[]} entries - Chunk entries, x measured along the course from the layout's start
+     * @param {number} scrollSpeed - Scroll speed in pixels per second
+     * @returns {boolean}
+     */
+    canClear(entries, scrollSpeed) {
+        return finishSteps(this.canClearSteps(entries, scrollSpeed));
+    }
+
+    /**
+     * canClear() one search frame at a time, so the search can be spread over several game frames.
+     * Yields the number of states searched in each frame.
+     * @param {object[]} entries - Chunk entries, x measured along the course from the layout's start
+     * @param {number} scrollSpeed - Scroll speed in pixels per second
+     * @returns {Generator<number, boolean>}
+     */
+    *canClearSteps(entries, scrollSpeed) {
+        const obstacles = entries.map(entry => this.getObstacleBounds(entry)).filter(Boolean);
+        if (obstacles.length === 0) return true;
+        const platforms = entries.filter(entry => entry.type === 'platform').map(entry => this.getPlatformBounds(entry));
+
+        const endX = Math.max(...obstacles.map(obstacle => obstacle.right)) + PLAYER_BOX.width;
+        const stepX = scrollSpeed * this.stepSeconds;
+
+        // Heights are measured up from the ground, so jump velocities are flipped to point up
+        const gravity = this.gravity * this.stepSeconds;
+        const jumpSpeed = -this.jumpVelocity;
+        const doubleJumpSpeed = -this.doubleJumpVelocity;
+
+        const jumpLength = scrollSpeed * 2 * jumpSpeed / this.gravity;
+        let playerX = Math.min(...obstacles.map(obstacle => obstacle.left)) - jumpLength;
+
+        // States are kept as parallel lists of feet height, vertical velocity and flags, and the
+        // lists are reused from frame to frame, since there are hundreds of states on every frame
+        let states = { heights: [0], velocities: [0], flags: [GROUNDED], seen: new Set() };
+        let next = { heights: [], velocities: [], flags: [], seen: new Set() };
+        for (let frame = 0; playerX <= endX; frame++) {
+            playerX += stepX;
+            const canDecide = frame % DECISION_FRAMES === 0;
+            next.heights.length = 0;
+            next.velocities.length = 0;
+            next.flags.length = 0;
+            next.seen.clear();
+
+            // Only what the player overlaps this frame can be hit or landed on
+            const nearby = {
+                obstacles: obstacles.filter(obstacle => this.overlapsPlayer(playerX, obstacle)),
+                platforms: platforms.filter(platform => this.overlapsPlayer(playerX, platform))
+            };
+
+            const { heights, velocities, flags } = states;
+            for (let i = 0; i < heights.length; i++) {
+                this.advance(next, nearby, playerX, heights[i], velocities[i], flags[i] & DOUBLE_JUMPED, gravity);
+                if (!canDecide) continue;
+                if (flags[i] & GROUNDED) {
+                    this.advance(next, nearby, playerX, heights[i], jumpSpeed, 0, gravity);
+                } else if (!(flags[i] & DOUBLE_JUMPED)) {
+                    this.advance(next, nearby, playerX, heights[i], doubleJumpSpeed, DOUBLE_JUMPED, gravity);
+                }
+            }
+
+            yield heights.length;
+            if (next.heights.length === 0) return false;
+            [states, next] = [next, states];
+        }
+        return true;
+    }
+
+    /**
+     * Plays one search state on by a frame and adds it to the next frame's states, unless it hits
+     * something or an almost identical state is already there.
+     * @param {{heights: number[], velocities: number[], flags: number[], seen: Set<number>}} next - Next frame's states
+     * @param {{obstacles: object[], platforms: object[]}} nearby - Obstacle and platform bounds level with the player
+     * @param {number} playerX - Player centre this frame
+     * @param {number} h - Feet height last frame
+     * @param {number} v - Vertical velocity going into this frame, pointing up
+     * @param {number} doubleJumped - DOUBLE_JUMPED if the double jump is used up, else 0
+     * @param {number} gravity - Velocity lost per frame
+     */
+    advance(next, nearby, playerX, h, v, doubleJumped, gravity) {
+        const previousH = h;
+        v -= gravity;
+        h += v * this.stepSeconds;
+
+        const platform = nearby.platforms.length > 0 ? this.findLanding(playerX, previousH, h, nearby.platforms) : null;
+        const grounded = platform !== null || h <= 0;
+        if (grounded) {
+            h = platform ? platform.top : 0;
+            v = 0;
+            doubleJumped = 0;
+        }
+        if (nearby.obstacles.length > 0 && this.hitsObstacle(playerX, h, nearby.obstacles, grounded)) return;
+
+        // States this close together play out the same, so keep only one of them
+        const flags = doubleJumped | (grounded ? GROUNDED : 0);
+        const key = (Math.round(h / 2) * 1000 + Math.round(v / 10) + 500) * 4 + flags;
+        if (next.seen.has(key)) return;
+        next.seen.add(key);
+        next.heights.push(h);
+        next.velocities.push(v);
+        next.flags.push(flags);
+    }
+
+    /**
+     * Makes a chunk clearable after the previous one: first by adding open ground before it,
+     * then by spreading its entries further apart.
+     * @param {?object} previous - Chunk placed before this one, or null
+     * @param {object} chunk - Chunk to place next
+     * @param {number} gap - Open ground planned between the two chunks, in pixels
+     * @param {number} scrollSpeed - Scroll speed in pixels per second
+     * @returns {{chunk: object, gap: number}|null} - The placement to use, or null if no nudge helps
+     */
+    fit(previous, chunk, gap, scrollSpeed) {
+        return finishSteps(this.fitSteps(previous, chunk, gap, scrollSpeed));
+    }
+
+    /**
+     * fit() one search frame at a time, like canClearSteps().
+     * @param {?object} previous - Chunk placed before this one, or null
+     * @param {object} chunk - Chunk to place next
+     * @param {number} gap - Open ground planned between the two chunks, in pixels
+     * @param {number} scrollSpeed - Scroll speed in pixels per second
+     * @returns {Generator<number, {chunk: object, gap: number}|null>}
+     */
+    *fitSteps(previous, chunk, gap, scrollSpeed) {
+        for (const stretch of STRETCHES) {
+            const candidate = stretch === 1 ? chunk : JumpValidator.stretchChunk(chunk, stretch);
+            for (const extraGap of EXTRA_GAPS) {
+                const layout = JumpValidator.joinChunks(previous, candidate, gap + extraGap);
+                if (yield* this.canClearSteps(layout, scrollSpeed)) {
+                    return { chunk: candidate, gap: gap + extraGap };
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Lays two chunks out along one course so they can be checked together.
+     * @param {?object} previous - First chunk, or null for none
+     * @param {object} chunk - Second chunk
+     * @param {number} gap - Open ground between them, in pixels
+     * @returns {object[]} - Entries of both, x measured from the start of the first
+     */
+    static joinChunks(previous, chunk, gap) {
+        if (!previous) return chunk.entries;
+        const offset = previous.length + gap;
+        return previous.entries.concat(chunk.entries.map(entry => ({ ...entry, x: entry.x + offset })));
+    }
+
+    /**
+     * Copies a chunk with its entries spread further apart. Heights stay the same, and so do
+     * sizes, except that platforms and patrols stretch too so whatever is on a platform stays on it.
+     * @param {object} chunk - Chunk to stretch
+     * @param {number} factor - How much further apart, e.g. 1.2 for 20%
+     * @returns {object} - The stretched copy
+     */
+    static stretchChunk(chunk, factor) {
+        return {
+            ...chunk,
+            length: Math.round(chunk.length * factor),
+            entries: chunk.entries.map(entry => ({
+                ...entry,
+                x: Math.round(entry.x * factor),
+                width: entry.type === 'platform' ? Math.round(entry.width * factor) : entry.width,
+                patrol: entry.patrol ? Math.round(entry.patrol * factor) : entry.patrol
+            }))
+        };
+    }
+
+    /**
+     * Works out the space an entry makes deadly, or null for coins and platforms.
+     * A patrolling tax collector makes its whole patrol deadly, and red tape reaches all the way up.
+     * @param {object} entry - Chunk entry
+     * @returns {{left: number, right: number, bottom: number, top: number, pit: boolean}|null}
+     */
+    getObstacleBounds(entry) {
+        switch (entry.type) {
+            case 'enemy': {
+                const standsOn = entry.y || 0;
+                return this.padBounds(entry.x - ENEMY_BOX.width / 2, entry.x + (entry.patrol || 0) + ENEMY_BOX.width / 2,
+                    standsOn + ENEMY_BOX.bottom, standsOn + ENEMY_BOX.top, false);
+            }
+            case 'enemy_flying':
+                return this.padBounds(entry.x - DRONE_BOX.width / 2, entry.x + DRONE_BOX.width / 2,
+                    entry.y - DRONE_BOX.hover - DRONE_BOX.height / 2, entry.y + DRONE_BOX.height / 2, false);
+            case 'red_tape':
+                return this.padBounds(entry.x - Constants.RED_TAPE_WIDTH / 2, entry.x + Constants.RED_TAPE_WIDTH / 2,
+                    Constants.RED_TAPE_CLEARANCE, Infinity, false);
+            case 'pit_lava':
+                // A gap in the ground, so it has no height: deadly once there's nothing underfoot
+                return this.padBounds(entry.x, entry.x + entry.width, 0, 0, true);
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Works out where a platform can be stood on. It's trimmed by the safety margin, so landings
+     * right on the edge don't count.
+     * @param {object} entry - Platform entry
+     * @returns {{left: number, right: number, top: number}}
+     */
+    getPlatformBounds(entry) {
+        return { left: entry.x + SAFETY_MARGIN, right: entry.x + entry.width - SAFETY_MARGIN, top: entry.y };
+    }
+
+    /**
+     * Finds the platform the player lands on (or keeps standing on) this frame: one under the
+     * player whose top its feet reached on the way down.
+     * @param {number} playerX - Player centre
+     * @param {number} previousH - Feet height last frame
+     * @param {number} h - Feet height this frame, before landing
+     * @param {object[]} platforms - Platform bounds
+     * @returns {?object} - The platform landed on, or null
+     */
+    findLanding(playerX, previousH, h, platforms) {
+        const left = playerX - PLAYER_BOX.width / 2;
+        const right = playerX + PLAYER_BOX.width / 2;
+        return platforms.find(platform =>
+            previousH >= platform.top && h <= platform.top && right > platform.left && left < platform.right
+        ) || null;
+    }
+
+    /**
+     * Whether the player, centred on playerX, is level with some bounds, edges included.
+     * @param {number} playerX - Player centre
+     * @param {{left: number, right: number}} bounds - Obstacle or platform bounds
+     * @returns {boolean}
+     */
+    overlapsPlayer(playerX, bounds) {
+        return playerX + PLAYER_BOX.width / 2 >= bounds.left && playerX - PLAYER_BOX.width / 2 <= bounds.right;
+    }
+
+    /**
+     * Grows obstacle bounds by the safety margin.
+     */
+    padBounds(left, right, bottom, top, pit) {
+        return {
+            left: left - SAFETY_MARGIN,
+            right: right + SAFETY_MARGIN,
+            bottom: bottom - SAFETY_MARGIN,
+            top: top + SAFETY_MARGIN,
+            pit
+        };
+    }
+
+    /**
+     * Whether the player, centred on playerX with feet at height h, touches an obstacle.
+     * On the ground it's sliding, so only its slide height counts. Pits only count once the player
+     * is on the ground with its whole body over the gap, since any ground still underfoot holds it up.
+     * Coyote-time jumps aren't counted.
+     */
+    hitsObstacle(playerX, h, obstacles, grounded) {
+        const left = playerX - PLAYER_BOX.width / 2;
+        const right = playerX + PLAYER_BOX.width / 2;
+        const height = grounded ? PLAYER_BOX.slideHeight : PLAYER_BOX.height;
+        return obstacles.some(obstacle => {
+            if (right < obstacle.left || left > obstacle.right) return false;
+            if (obstacle.pit) return h === 0 && left >= obstacle.left && right <= obstacle.right;
+            return h < obstacle.top && h + height > obstacle.bottom;
+        });
+    }
+}
+
+/**
+ * Runs one of the step-by-step searches, such as JumpValidator.canClearSteps(), to the end.
+ * @param {Generator} steps - The search
+ * @returns {*} - What the search returns
+ */
+export function finishSteps(steps) {
+    let step = steps.next();
+    while (!step.done) step = steps.next();
+    return step.value;
+}
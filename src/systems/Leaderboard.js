@@ -0,0 +1,208 @@
+import Constants from '../config/constants.js';
+
+// --- Leaderboard Save Format ---
+const LEADERBOARD_STORAGE_KEY = 'myobDash.leaderboard';
+const LEADERBOARD_SAVE_VERSION = 3;
+const DEFAULT_BOARD_KEY = 'classic';
+const MAX_DAILY_BOARDS = 7; // Older daily challenge boards are dropped on save
+
+// Entry fields a board can be ranked by, with their display names. The first is the default.
+export const LEADERBOARD_RANKINGS = { score: 'Score', distance: 'Distance' };
+export const DEFAULT_RANKING = Object.keys(LEADERBOARD_RANKINGS)[0];
+
+// Upgrades a save from the keyed version to the next one. Add a step here whenever
+// the save shape changes.
+const LEADERBOARD_MIGRATIONS = {
+    // v1 held a single table; it becomes the classic board
+    1: data => ({ version: 2, boards: { [DEFAULT_BOARD_KEY]: Array.isArray(data.entries) ? data.entries : [] } }),
+    // v3 adds the distance run, in metres, which older entries didn't record
+    2: data => ({
+        version: 3,
+        boards: Object.fromEntries(Object.entries(data.boards || {}).map(([key, entries]) => [
+            key,
+            Array.isArray(entries) ? entries.map(entry => ({ distance: 0, ...entry })) : entries
+        ]))
+    })
+};
+
+/**
+ * Local top-10 leaderboards persisted in localStorage, one board per game mode
+ * (and per day for the daily challenge), all stored under one key.
+ * A board can be ranked by score or by distance, so it keeps every entry that makes
+ * the top 10 of either.
+ * Saves carry a version number and are migrated forward on load, so new entry
+ * fields can be added later without wiping existing scores.
+ */
+export default class Leaderboard {
+  /**
+   * @param {string} boardKey - Board to read and write, from getLeaderboardKey()
+   */
+  constructor(boardKey = DEFAULT_BOARD_KEY, storageKey = LEADERBOARD_STORAGE_KEY, maxEntries = Constants.LEADERBOARD_MAX_ENTRIES) {
+      this.boardKey = boardKey;
+      this.storageKey = storageKey;
+      this.maxEntries = maxEntries;
+      this.boards = {};   // Every saved board, so saving one keeps the others
+      this.entries = [];  // Entries of this board, oldest first
+      this.load();
+  }
+
+  /**
+   * Loads and migrates the saved boards. Corrupt or unreadable saves start empty.
+   * @returns {Array<{name: string, score: number, distance: number}>} - The loaded entries of this board, oldest first
+   */
+  load() {
+      try {
+          const raw = window.localStorage.getItem(this.storageKey);
+          this.boards = raw ? this.migrate(JSON.parse(raw)).boards : {};
+      } catch (e) {
+          console.warn('Failed to load leaderboard, starting with an empty table:', e);
+          this.boards = {};
+      }
+      this.entries = this.boards[this.boardKey] || [];
+      return this.entries;
+  }
+
+  /**
+   * Brings saved data up to the current save version.
+   * @param {object} data - Parsed save data of any known version
+   * @returns {{version: number, boards: Object<string, Array>}} - Save data in the current format
+   */
+  migrate(data) {
+      if (!data || typeof data !== 'object') {
+          return { version: LEADERBOARD_SAVE_VERSION, boards: {} };
+      }
+
+      let migrated = data;
+      let version = Number.isInteger(data.version) ? data.version : 1;
+      while (version < LEADERBOARD_SAVE_VERSION && LEADERBOARD_MIGRATIONS[version]) {
+          migrated = LEADERBOARD_MIGRATIONS[version](migrated);
+          version++;
+      }
+
+      // Keep only entries we can display, and only those that make a table
+      const boards = {};
+      Object.entries(migrated.boards || {}).forEach(([key, entries]) => {
+          if (!Array.isArray(entries)) return;
+          boards[key] = this.prune(entries.filter(entry => entry && typeof entry.name === 'string'
+              && Number.isFinite(entry.score) && Number.isFinite(entry.distance)));
+      });
+
+      return { ...migrated, version: LEADERBOARD_SAVE_VERSION, boards };
+  }
+
+  /**
+   * Drops entries that aren't in the top of any ranking.
+   * @param {object[]} entries - Entries of one board, oldest first
+   * @returns {object[]} - The entries worth keeping, still oldest first
+   */
+  prune(entries) {
+      const kept = new Set();
+      Object.keys(LEADERBOARD_RANKINGS).forEach(rankBy => {
+          this.rank(entries, rankBy).forEach(entry => kept.add(entry));
+      });
+      return entries.filter(entry => kept.has(entry));
+  }
+
+  /**
+   * Sorts entries best first by one field and cuts them to the table size.
+   * Ties keep the older entry above, since the sort is stable and entries are oldest first.
+   * @param {object[]} entries - Entries of one board, oldest first
+   * @param {string} rankBy - A key of LEADERBOARD_RANKINGS
+   * @returns {object[]} - The table, best first
+   */
+  rank(entries, rankBy) {
+      return entries
+          .filter(entry => entry[rankBy] > 0)
+          .sort((a, b) => b[rankBy] - a[rankBy])
+          .slice(0, this.maxEntries);
+  }
+
+  /**
+   * The ranking after the given one, for a button that cycles through them.
+   * @param {string} rankBy - A key of LEADERBOARD_RANKINGS
+   * @returns {string} - The next key, wrapping around to the first
+   */
+  static nextRanking(rankBy) {
+      const keys = Object.keys(LEADERBOARD_RANKINGS);
+      return keys[(keys.indexOf(rankBy) + 1) % keys.length];
+  }
+
+  /**
+   * Returns the table ranked by one field.
+   * @param {string} rankBy - A key of LEADERBOARD_RANKINGS
+   * @returns {object[]} - Up to maxEntries entries, best first
+   */
+  getTable(rankBy = DEFAULT_RANKING) {
+      return this.rank(this.entries, rankBy);
+  }
+
+  /**
+   * Writes all boards to localStorage, dropping daily boards beyond the most recent few.
+   */
+  save() {
+      this.boards[this.boardKey] = this.entries;
+
+      // Daily keys end in YYYY-MM-DD, so they sort by date
+      const dailyKeys = Object.keys(this.boards).filter(key => key.startsWith('daily:')).sort();
+      dailyKeys.slice(0, -MAX_DAILY_BOARDS).forEach(key => delete this.boards[key]);
+
+      try {
+          const data = { version: LEADERBOARD_SAVE_VERSION, boards: this.boards };
+          window.localStorage.setItem(this.storageKey, JSON.stringify(data));
+      } catch (e) {
+          console.warn('Failed to save leaderboard:', e);
+      }
+  }
+
+  /**
+   * Returns the best score on the table, or 0 when it is empty.
+   */
+  getBestScore() {
+      const table = this.getTable('score');
+      return table.length > 0 ? table[0].score : 0;
+  }
+
+  /**
+   * Whether a run is good enough to earn a place on the table by any ranking.
+   * @param {{score: number, distance: number}} run - Final score and distance in metres
+   */
+  qualifies(run) {
+      return Object.keys(LEADERBOARD_RANKINGS).some(rankBy => {
+          if (!(run[rankBy] > 0)) return false;
+          const table = this.getTable(rankBy);
+          return table.length < this.maxEntries || run[rankBy] > table[table.length - 1][rankBy];
+      });
+  }
+
+  /**
+   * Adds a new entry and saves the board.
+   * @param {string} name - Player initials
+   * @param {number} score - Final score of the run
+   * @param {number} distance - Distance run, in metres
+   * @returns {?object} - The new entry, for highlighting, or null if it didn't place
+   */
+  addEntry(name, score, distance) {
+      const entry = { name, score, distance };
+      if (!this.qualifies(entry)) return null;
+
+      this.entries = this.prune([...this.entries, entry]);
+      this.save();
+      return entry;
+  }
+
+  /**
+   * Formats the table as fixed-width lines for a monospace text object.
+   * @param {?object} highlightEntry - Entry to mark as new, from addEntry()
+   * @param {string} rankBy - A key of LEADERBOARD_RANKINGS
+   * @returns {string[]} - One line per entry, best first
+   */
+  formatLines(highlightEntry = null, rankBy = DEFAULT_RANKING) {
+      return this.getTable(rankBy).map((entry, index) => {
+          const marker = entry === highlightEntry ? '>' : ' ';
+          const rank = String(index + 1).padStart(2, ' ');
+          const score = String(entry.score).padStart(6, ' ');
+          const distance = `${entry.distance} m`.padStart(7, ' ');
+          return `${marker}${rank}. ${entry.name.padEnd(Constants.INITIALS_LENGTH, ' ')}  ${score} ${distance}`;
+      });
+  }
+}
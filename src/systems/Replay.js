@@ -0,0 +1,124 @@
+/**
+ * MYOB Dash - Replay
+ * Inputs of one run, tagged with the simulation frame they happened on. Together with the
+ * run's seed (and segment, if it started with one) this is enough for GameScene to play the run back exactly.
+ * Has no Phaser dependency, so it also runs under Node.
+ */
+
+// --- Replay File Format ---
+export const REPLAY_FORMAT = 'myob-dash-replay';
+export const REPLAY_VERSION = 1;
+export const REPLAY_ACTIONS = ['jump', 'doubleJump', 'jumpRelease', 'fastFall', 'slide', 'slideEnd', 'restart'];
+
+export default class Replay {
+    /**
+     * @param {{mode: string, seed: number, segment?: object, events?: Array<[number, string]>, frames?: number, score?: number, rngDraws?: number, recordedAt?: string}} data - Run settings, plus the recorded results for a finished replay
+     */
+    constructor(data) {
+        this.mode = data.mode;
+        this.seed = data.seed;
+        this.segment = data.segment || null;    // Segment file the run started with, if any
+        this.events = data.events ? data.events.slice() : []; // [frame, action] pairs in frame order
+        this.frames = data.frames || 0;         // Frame the run ended on
+        this.score = data.score || 0;           // Final score, to check playback against
+        this.rngDraws = data.rngDraws || 0;     // Random numbers the run consumed, to check playback against
+        this.recordedAt = data.recordedAt || new Date().toISOString();
+        this.cursor = 0;                        // Next event to play back
+    }
+
+    /**
+     * Adds an input to the recording.
+     * @param {number} frame - Simulation frame of the input
+     * @param {string} action - One of REPLAY_ACTIONS
+     */
+    record(frame, action) {
+        this.events.push([frame, action]);
+    }
+
+    /**
+     * Stores the outcome of the recorded run.
+     * @param {{frames: number, score: number, rngDraws: number}} results - End state of the run
+     */
+    finish(results) {
+        this.frames = results.frames;
+        this.score = results.score;
+        this.rngDraws = results.rngDraws;
+    }
+
+    /**
+     * Returns the actions recorded for a frame. Frames must be asked for in order.
+     * @param {number} frame - Simulation frame being played
+     * @returns {string[]} - Actions on that frame, often none
+     */
+    getActionsAt(frame) {
+        const actions = [];
+        while (this.cursor < this.events.length && this.events[this.cursor][0] <= frame) {
+            if (this.events[this.cursor][0] === frame) {
+                actions.push(this.events[this.cursor][1]);
+            }
+            this.cursor++;
+        }
+        return actions;
+    }
+
+    /**
+     * Whether a played-back run ended the same way the recorded one did.
+     * @param {{frames: number, score: number, rngDraws: number}} results - End state of the playback
+     */
+    matches(results) {
+        return results.frames === this.frames && results.score === this.score && results.rngDraws === this.rngDraws;
+    }
+
+    /**
+     * Converts the replay into the versioned file format.
+     */
+    toJSON() {
+        return {
+            format: REPLAY_FORMAT,
+            version: REPLAY_VERSION,
+            mode: this.mode,
+            seed: this.seed,
+            segment: this.segment,
+            recordedAt: this.recordedAt,
+            frames: this.frames,
+            score: this.score,
+            rngDraws: this.rngDraws,
+            events: this.events
+        };
+    }
+
+    /**
+     * Builds a replay from parsed file data, checking it on the way.
+     * @param {object} data - Parsed replay file
+     * @returns {Replay} - A replay ready to play back from the start
+     * @throws {Error} If the data isn't a replay this version can play
+     */
+    static fromJSON(data) {
+        if (!data || data.format !== REPLAY_FORMAT) {
+            throw new Error('Not a MYOB Dash replay file');
+        }
+        if (!Number.isInteger(data.version) || data.version > REPLAY_VERSION) {
+            throw new Error(`Unsupported replay version: ${data.version}`);
+        }
+        if (typeof data.mode !== 'string' || !Number.isInteger(data.seed) || !Array.isArray(data.events)) {
+            throw new Error('Replay file is missing its mode, seed or events');
+        }
+
+        const validEvent = event => Array.isArray(event)
+            && Number.isInteger(event[0]) && event[0] >= 0
+            && REPLAY_ACTIONS.includes(event[1]);
+        if (!data.events.every(validEvent)) {
+            throw new Error('Replay file has an invalid event');
+        }
+
+        const events = data.events.slice().sort((a, b) => a[0] - b[0]);
+        return new Replay({ ...data, events });
+    }
+
+    /**
+     * Suggests a file name for saving a replay.
+     */
+    getFileName() {
+        return `myob-dash-${this.mode}-${this.seed}-${this.score}.json`;
+    }
+}
@@ -0,0 +1,76 @@
+/**
+ * MYOB Dash - Segment
+ * One chunk saved from the editor, in a versioned file format that loads back into the
+ * editor or into a run with `?segment=`. Entries use the same format as assets/data/chunks.json.
+ * Has no Phaser dependency, so it also runs under Node.
+ */
+import ChunkSpawner from './ChunkSpawner.js';
+
+// --- Segment File Format ---
+export const SEGMENT_FORMAT = 'myob-dash-segment';
+export const SEGMENT_VERSION = 1;
+
+/**
+ * Converts a chunk into the segment file format, keeping only the fields each entry type uses.
+ * @param {{id: string, tier: number, length: number, entries: object[]}} chunk - Chunk to save
+ * @returns {object} - Segment file data
+ */
+export function toSegmentFile(chunk) {
+    const entries = chunk.entries.map(entry => {
+        switch (entry.type) {
+            case 'enemy': {
+                // Height and patrol are only saved for enemies standing on a platform or walking
+                const saved = { type: entry.type, x: entry.x };
+                if (entry.y) saved.y = entry.y;
+                if (entry.patrol) saved.patrol = entry.patrol;
+                return saved;
+            }
+            case 'pit_lava':
+                return { type: entry.type, x: entry.x, width: entry.width };
+            case 'platform':
+                return { type: entry.type, x: entry.x, y: entry.y, width: entry.width };
+            case 'red_tape':
+                return { type: entry.type, x: entry.x };
+            default:
+                return { type: entry.type, x: entry.x, y: entry.y };
+        }
+    });
+
+    return {
+        format: SEGMENT_FORMAT,
+        version: SEGMENT_VERSION,
+        id: chunk.id,
+        tier: chunk.tier,
+        length: chunk.length,
+        entries
+    };
+}
+
+/**
+ * Reads segment file data back into a chunk, checking it on the way.
+ * @param {object} data - Parsed segment file
+ * @returns {object} - The segment as a chunk, ready to place
+ * @throws {Error} If the data isn't a segment this version can load
+ */
+export function parseSegmentFile(data) {
+    if (!data || data.format !== SEGMENT_FORMAT) {
+        throw new Error('Not a MYOB Dash segment file');
+    }
+    if (!Number.isInteger(data.version) || data.version > SEGMENT_VERSION) {
+        throw new Error(`Unsupported segment version: ${data.version}`);
+    }
+
+    const [chunk] = ChunkSpawner.parseLibrary({ chunks: [data] });
+    if (!chunk) {
+        throw new Error('Segment file is missing its tier, length or entries');
+    }
+    return chunk;
+}
+
+/**
+ * Suggests a file name for saving a segment.
+ * @param {{id: string}} chunk - Segment being saved
+ */
+export function getSegmentFileName(chunk) {
+    return `myob-dash-segment-${chunk.id.replace(/[^a-z0-9-]+/gi, '-')}.json`;
+}
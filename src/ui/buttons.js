@@ -0,0 +1,42 @@
+/**
+ * MYOB Dash - UI Buttons
+ * Text buttons shared by the menu and overlay scenes
+ */
+
+const BUTTON_STYLE = {
+    fontSize: '24px',
+    fill: '#ffffff',
+    fontStyle: 'bold',
+    backgroundColor: '#673ab7',
+    padding: { x: 16, y: 8 },
+    align: 'center'
+};
+
+const BUTTON_HOVER_COLOR = '#8e5cd9';
+
+/**
+ * Creates a clickable text button with a hover highlight.
+ * @param {Phaser.Scene} scene - Scene to add the button to
+ * @param {number} x - Center X position
+ * @param {number} y - Center Y position
+ * @param {string} label - Button text
+ * @param {Function} onClick - Called when the button is pressed
+ * @param {object} style - Optional text style overrides
+ * @returns {Phaser.GameObjects.Text} - The button
+ */
+export function createTextButton(scene, x, y, label, onClick, style = {}) {
+    const buttonStyle = { ...BUTTON_STYLE, ...style };
+    const button = scene.add.text(x, y, label, buttonStyle)
+        .setOrigin(0.5)
+        .setScrollFactor(0)
+        .setInteractive({ useHandCursor: true });
+
+    button.on('pointerover', () => button.setBackgroundColor(BUTTON_HOVER_COLOR));
+    button.on('pointerout', () => button.setBackgroundColor(buttonStyle.backgroundColor));
+    button.on('pointerdown', (pointer, localX, localY, event) => {
+        event.stopPropagation(); // Keep the press from reaching scene-wide handlers
+        onClick();
+    });
+
+    return button;
+}
@@ -0,0 +1,23 @@
+/**
+ * MYOB Dash - Scene Transitions
+ * Camera fades used when moving between full-screen scenes
+ */
+import Constants from '../config/constants.js';
+
+/**
+ * Fades the scene's camera to black, then starts another scene in its place.
+ * Calls made while a fade is already running are ignored, so double clicks can't start two scenes.
+ * @param {Phaser.Scene} scene - Scene to fade out
+ * @param {string} key - Scene to start
+ * @param {object} data - Data passed to the new scene's init()
+ */
+export function fadeToScene(scene, key, data = {}) {
+    const camera = scene.cameras.main;
+    if (camera.fadeEffect.isRunning) return;
+
+    camera.fadeOut(Constants.FADE_DURATION, 0, 0, 0, (cam, progress) => {
+        if (progress === 1) {
+            scene.scene.start(key, data);
+        }
+    });
+}
@@ -0,0 +1,86 @@
+/**
+ * MYOB Dash - Seeded Random
+ * Small deterministic random number generator (mulberry32), so a run can be replayed from its seed.
+ * Has no Phaser dependency, so it also runs under Node.
+ */
+export default class SeededRandom {
+    /**
+     * @param {number|string} seed - Integer seed, or any string which is hashed into one
+     */
+    constructor(seed) {
+        this.seed = SeededRandom.normalizeSeed(seed);
+        this.state = this.seed;
+        this.draws = 0; // Numbers drawn so far; replays compare it to spot a desync
+    }
+
+    /**
+     * Turns a seed of any supported type into an unsigned 32-bit integer.
+     * Numeric strings keep their value so `?seed=42` and a seed of 42 match.
+     * @param {number|string} seed - Seed to normalize
+     * @returns {number} - Unsigned 32-bit seed
+     */
+    static normalizeSeed(seed) {
+        if (typeof seed === 'string' && /^\d+$/.test(seed.trim())) {
+            seed = Number(seed.trim());
+        }
+        if (typeof seed === 'number' && Number.isFinite(seed)) {
+            return Math.floor(Math.abs(seed)) >>> 0;
+        }
+        return SeededRandom.hashString(String(seed));
+    }
+
+    /**
+     * Hashes a string into an unsigned 32-bit integer (FNV-1a).
+     * @param {string} text - Text to hash
+     * @returns {number} - Unsigned 32-bit hash
+     */
+    static hashString(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    /**
+     * Picks a fresh seed for runs that don't ask for one.
+     * @returns {number} - Unsigned 32-bit seed
+     */
+    static randomSeed() {
+        return Math.floor(Math.random() * 0x100000000) >>> 0;
+    }
+
+    /**
+     * Returns the next float in [0, 1).
+     */
+    frac() {
+        this.draws++;
+        this.state = (this.state + 0x6d2b79f5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    }
+
+    /**
+     * Returns an integer between min and max, inclusive. Same rounding as Phaser.Math.Between.
+     */
+    between(min, max) {
+        return Math.floor(this.frac() * (max - min + 1) + min);
+    }
+
+    /**
+     * Returns a float between min and max.
+     */
+    realInRange(min, max) {
+        return this.frac() * (max - min) + min;
+    }
+
+    /**
+     * Returns a random element of the array.
+     */
+    pick(array) {
+        return array[Math.floor(this.frac() * array.length)];
+    }
+}
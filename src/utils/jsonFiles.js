@@ -0,0 +1,49 @@
+/**
+ * MYOB Dash - JSON Files
+ * Saving data as JSON downloads and opening JSON files from disk
+ */
+
+/**
+ * Downloads data as a JSON file.
+ * @param {object} data - Data to save
+ * @param {string} fileName - Suggested file name
+ */
+export function downloadJson(data, fileName) {
+    const blob = new Blob([JSON.stringify(data)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Asks the player for a JSON file and parses it.
+ * @returns {Promise<object|null>} - The parsed file, or null if the picker was cancelled. Rejects if the file isn't valid JSON.
+ */
+export function pickJsonFile() {
+    return new Promise((resolve, reject) => {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json,application/json';
+
+        input.addEventListener('cancel', () => resolve(null));
+        input.addEventListener('change', () => {
+            const file = input.files && input.files[0];
+            if (!file) {
+                resolve(null);
+                return;
+            }
+
+            file.text()
+                .then(text => resolve(JSON.parse(text)))
+                .catch(reject);
+        });
+
+        input.click();
+    });
+}
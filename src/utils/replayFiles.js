@@ -0,0 +1,22 @@
+/**
+ * MYOB Dash - Replay Files
+ * Saving replays as JSON downloads and opening them again from disk
+ */
+import Replay from '../systems/Replay.js';
+import { downloadJson, pickJsonFile } from './jsonFiles.js';
+
+/**
+ * Downloads a replay as a JSON file.
+ * @param {Replay} replay - The replay to save
+ */
+export function downloadReplay(replay) {
+    downloadJson(replay.toJSON(), replay.getFileName());
+}
+
+/**
+ * Asks the player for a replay file and reads it.
+ * @returns {Promise<Replay|null>} - The replay, or null if the picker was cancelled. Rejects if the file isn't a valid replay.
+ */
+export function pickReplayFile() {
+    return pickJsonFile().then(data => (data ? Replay.fromJSON(data) : null));
+}
@@ -0,0 +1,14 @@
+/**
+ * MYOB Dash - URL Parameters
+ * Read-only access to the page's query string, e.g. `?seed=1234`
+ */
+
+/**
+ * Returns a query string parameter, or null when it isn't set.
+ * @param {string} name - Parameter name
+ * @returns {string|null} - The raw value
+ */
+export function getUrlParam(name) {
+    if (typeof window === 'undefined' || !window.location) return null;
+    return new URLSearchParams(window.location.search).get(name);
+}